@@ -1,13 +1,36 @@
 // Route Time Estimator — Clean V2 (Print=Table only; no map image in PDF)
 // - Live Leaflet map for planning (not printed)
-// - GPX processing: resample, smooth, deadband filter, per-step time model
-// - Waypoints/roadbooks import + on-map add/remove
+// - Route import: GPX, TCX, KML, GeoJSON (pluggable format registry)
+// - Track processing: resample, smooth, deadband filter, per-step time model
+//   (in a Web Worker with progress bar + cancel; sliding-window median, grid index for nearest-point lookups)
+// - Offline DEM elevation (SRTM .hgt / GeoTIFF tiles): replace or blend the file's elevations
+// - Pace models: classic flat+vertical, Tobler, Naismith+Langmuir, Munter, cycling power
+// - Gradient-aware downhill curve (editable, per-activity defaults) or legacy single factor
+// - Pace calibration from recorded (timed) GPX activities → custom activity profiles
+// - Waypoints/roadbooks import + on-map add/remove/drag (snaps to the track)
+// - Track editing: reverse, trim start/end, segment break at a roadbook, append another route file
+// - Gaps between segments: dashed on the map; ignore, count as a straight line, or a timed transfer
+// - Route-order aware matching for out-and-back / looped routes (pass picker)
 // - Roadbooks table: grouped headers, editable Name/Stops/Conditions
-// - Save/Load JSON, Export CSV (DOM), Simple Print (window.print)
+// - Terrain/surface class per leg (configurable catalogue, speed × per activity, coloured on the map)
+// - Undo/redo (Ctrl+Z / Ctrl+Shift+Z) for roadbook and leg edits
+// - Planned start time → arrival/departure clock times per roadbook
+// - Optional fatigue model (pace drops with accumulated effort; reset overnight)
+// - Rest rules suggest Stops (short breaks + lunch) for legs without manual stops
+// - Water/food planning: supply tags per roadbook, per-leg needs, carry-out amounts, capacity warnings
+// - Offline sunrise/sunset/civil twilight per roadbook; darkness warnings
+// - Multi-day stages: overnight roadbooks split the table into days
+// - Plan vs actual: a timed recording matched to the roadbooks (arrival, leg time, Δ, realistic Cond%)
+// - Plan library in IndexedDB (save/reopen/duplicate/rename/delete) + session autosave
+// - Elevation profile (SVG) linked to the map and roadbooks; printed with the table
+// - Gradient analysis: grade bands (overall/per leg), steepest climbs/descents, map colour-by-grade
+// - Save/Load JSON (optionally self-contained: embedded, compressed track), Export CSV (DOM), Export GPX (track + roadbook <wpt>s), Simple Print (window.print)
 
 // ---------- DOM ----------
 const outputEl = document.getElementById("output");
 const roadbooksEl = document.getElementById("roadbooks");
+const profileEl = document.getElementById("profile");
+const profileReadoutEl = document.getElementById("profileReadout");
 
 const calcBtn  = document.getElementById("calculateBtn");
 const clearBtn = document.getElementById("clearRoadbooksBtn");
@@ -15,21 +38,83 @@ const saveBtn   = document.getElementById("savePlanBtn");
 const loadBtn   = document.getElementById("loadPlanBtn");
 const loadInput = document.getElementById("loadPlanInput");
 const exportCsv = document.getElementById("exportCsvBtn");
+const exportGpx = document.getElementById("exportGpxBtn");
 const printBtn  = document.getElementById("printBtn");
 
 // === Activity & Advanced Configuration (single source of truth) ===
 const activitySel = document.getElementById("activityType");
 const showAdvChk  = document.getElementById("showAdvanced");
+const startTimeInput = document.getElementById("startTime");
+const fatigueChk = document.getElementById("fatigueOn");
+const restChk = document.getElementById("restOn");
+const supplyChk = document.getElementById("supplyOn");
 
-// Presets: spacing (m), smoothing window (m), flat speed (km/h), vertical speed (m/h), downhill factor
+const paceModelSel = document.getElementById("paceModel");
+
+// Presets: spacing (m), smoothing window (m), flat speed (km/h), vertical speed (m/h), downhill factor,
+// downhill curve ([descent %, time ×] points), fatigue (onset effort h, % per effort h, ascent m
+// per effort h), power model (W, rider+bike kg, CdA m², Crr, max descent km/h) for the cycling presets
 const ACTIVITY_PRESETS = {
-  road:   { spacing: 5, smooth: 40, speedFlat: 24, speedVert: 900, dhf: 0.40 },   // Road cycling
-  mtb:    { spacing: 4, smooth: 20, speedFlat: 14, speedVert: 700, dhf: 0.60 },   // Mountain biking
-  hike:   { spacing: 3, smooth: 15, speedFlat:  4, speedVert: 300, dhf: 0.6667 }, // Hiking / trail
+  road:   { spacing: 5, smooth: 40, speedFlat: 24, speedVert: 900, dhf: 0.40,     // Road cycling
+            dhCurve: [[0, 1], [2, 0.6], [5, 0.4], [8, 0.35], [12, 0.4], [20, 0.7]],
+            fatigue: { onsetH: 4, ratePct: 3, ascentM: 1500 },
+            power: { powerW: 180, massKg: 85, cdaM2: 0.32, crr: 0.005, maxDescentKmh: 55 } },
+  mtb:    { spacing: 4, smooth: 20, speedFlat: 14, speedVert: 700, dhf: 0.60,     // Mountain biking
+            dhCurve: [[0, 1], [3, 0.6], [8, 0.5], [15, 0.6], [25, 0.9], [35, 1.4]],
+            fatigue: { onsetH: 3, ratePct: 4, ascentM: 1000 },
+            power: { powerW: 160, massKg: 90, cdaM2: 0.45, crr: 0.015, maxDescentKmh: 35 } },
+  hike:   { spacing: 3, smooth: 15, speedFlat:  4, speedVert: 300, dhf: 0.6667,   // Hiking / trail
+            dhCurve: [[0, 1], [5, 0.8], [10, 0.75], [15, 0.8], [20, 0.9], [30, 1.2], [40, 1.6]],
+            fatigue: { onsetH: 3, ratePct: 5, ascentM: 600 } },
 };
 
+// Custom activities (saved from pace calibration): id -> { name, base, pace }.
+// `base` is the built-in preset they extend, `pace` a readPaceSettings() object.
+const CUSTOM_ACTIVITIES_KEY = "gpxplanner.customActivities";
+let customActivities = loadCustomActivities();
+
+function loadCustomActivities() {
+  try {
+    const o = JSON.parse(localStorage.getItem(CUSTOM_ACTIVITIES_KEY) || "{}");
+    return o && typeof o === "object" && !Array.isArray(o) ? o : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveCustomActivities() {
+  try {
+    localStorage.setItem(CUSTOM_ACTIVITIES_KEY, JSON.stringify(customActivities));
+  } catch (e) {
+    alert("Could not store custom activities: " + e.message);
+  }
+}
+
+function baseActivity(kind) {
+  return customActivities[kind]?.base || kind;
+}
+
+// Custom activities go in their own <optgroup> after the built-in presets
+function renderCustomActivityOptions() {
+  if (!activitySel) return;
+  activitySel.querySelector("optgroup.custom-activities")?.remove();
+  const entries = Object.entries(customActivities);
+  if (!entries.length) return;
+  const group = document.createElement("optgroup");
+  group.label = "Custom";
+  group.className = "custom-activities";
+  for (const [id, a] of entries) {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = a.name;
+    group.appendChild(opt);
+  }
+  activitySel.appendChild(group);
+}
+
 function applyActivityPreset(kind) {
-  const p = ACTIVITY_PRESETS[kind];
+  const custom = customActivities[kind];
+  const p = ACTIVITY_PRESETS[baseActivity(kind)];
   if (!p) return;
 
   // Advanced fields
@@ -45,16 +130,268 @@ function applyActivityPreset(kind) {
   if (flat) flat.value = p.speedFlat;
   if (vert) vert.value = p.speedVert;
   if (dhf)  dhf.value  = p.dhf;
+  setDownhillCurve(p.dhCurve);
+
+  const fatigueInputs = { onsetH: "fatigueOnsetH", ratePct: "fatigueRatePct", ascentM: "fatigueAscentM" };
+  for (const [key, id] of Object.entries(fatigueInputs)) {
+    const el = document.getElementById(id);
+    if (el && p.fatigue) el.value = p.fatigue[key];
+  }
+
+  for (const [key, v] of Object.entries(p.power || {})) {
+    const el = document.getElementById(PACE_MODELS.power.params[key].id);
+    if (el) el.value = v;
+  }
+  if (custom) writePaceToForm(custom.pace);
+  syncPaceModelOptions(kind);
+}
+
+// ---------- Pace models ----------
+// Each model turns one track step into hours. `params` maps settings keys to
+// form inputs (id, default); `fit` lists what pace calibration may adjust
+// ("downhill" = the classic model's factor or curve); `stepH` gets { distKm, ascentM, descentM, grade }
+// where ascent/descent are the deadband-filtered step values (they add up to
+// the totals shown) and `grade` is rise/run over PACE_GRADE_WIN_M, since the
+// deadband output climbs in steps and is useless as a per-point slope.
+const PACE_GRADE_WIN_M = 100;
+
+const PACE_MODELS = {
+  classic: {
+    label: "Flat + vertical speed",
+    activities: ["hike", "mtb", "road"],
+    fit: ["speedFlatKmh", "speedVertMh", "downhill"],
+    params: {
+      speedFlatKmh:   { id: "speedFlat",      def: 4,      label: "Flat speed" },
+      speedVertMh:    { id: "speedVert",      def: 300,    label: "Vertical speed" },
+      downhillMode:   { id: "downhillMode",   def: "curve", label: "Downhill", type: "select" },
+      downhillFactor: { id: "downhillFactor", def: 0.6667, label: "Downhill factor" },
+      downhillCurve:  { id: "downhillCurve",  def: ACTIVITY_PRESETS.hike.dhCurve, label: "Downhill curve", type: "curve" }
+    },
+    stepH({ distKm, ascentM, descentM, grade }, p) {
+      const h = distKm / p.speedFlatKmh; // hours
+      const vMag = ascentM > 0 ? ascentM : descentM;
+      const v = vMag > 0 ? (vMag / p.speedVertMh) : 0;
+
+      let t = Math.max(h, v) + 0.5 * Math.min(h, v);
+      if (p.downhillMode === "factor") {
+        // legacy: one multiplier, only on the steps where the filtered elevation drops
+        if (descentM > 0 && descentM >= ascentM) t *= p.downhillFactor;
+      } else if (grade < 0) {
+        t *= downhillCurveFactor(p.downhillCurve, -grade * 100);
+      }
+      return t;
+    }
+  },
+
+  // Tobler (1993): v = vmax · e^(−3.5·|s + 0.05|), fastest on a 5 % descent
+  tobler: {
+    label: "Tobler's hiking function",
+    activities: ["hike"],
+    fit: ["toblerMaxKmh"],
+    params: {
+      toblerMaxKmh: { id: "toblerMaxKmh", def: 6, label: "Tobler top speed" }
+    },
+    stepH({ distKm, grade }, p) {
+      const v = p.toblerMaxKmh * Math.exp(-3.5 * Math.abs(grade + 0.05));
+      return distKm / Math.max(v, 0.3);
+    }
+  },
+
+  // Naismith: distance at a flat pace plus 1 h per `climb` metres of ascent.
+  // Langmuir: gentle descents (5–12°) save, steep ones (>12°) cost, minutes per 300 m.
+  naismith: {
+    label: "Naismith + Langmuir",
+    activities: ["hike"],
+    fit: ["naismithFlatKmh", "naismithClimbMh", "langmuirGentleMin", "langmuirSteepMin"],
+    params: {
+      naismithFlatKmh:   { id: "naismithFlatKmh",   def: 5,   label: "Naismith flat speed" },
+      naismithClimbMh:   { id: "naismithClimbMh",   def: 600, label: "Naismith climb rate" },
+      langmuirGentleMin: { id: "langmuirGentleMin", def: 10,  label: "Langmuir gentle descent", allowZero: true },
+      langmuirSteepMin:  { id: "langmuirSteepMin",  def: 10,  label: "Langmuir steep descent", allowZero: true }
+    },
+    stepH({ distKm, ascentM, grade }, p) {
+      let t = distKm / p.naismithFlatKmh + ascentM / p.naismithClimbMh;
+      if (grade < 0) {
+        const deg = Math.atan(-grade) * 180 / Math.PI;
+        const dropM = -grade * distKm * 1000; // smooth drop, not the deadband steps
+        if (deg > 12) t += (p.langmuirSteepMin / 60) * dropM / 300;
+        else if (deg >= 5) t -= (p.langmuirGentleMin / 60) * dropM / 300;
+      }
+      return Math.max(t, 0);
+    }
+  },
+
+  // Munter: 1 unit per km and per 100 m up or down, at a rate of units/hour
+  munter: {
+    label: "Munter method",
+    activities: ["hike"],
+    fit: ["munterRateUp", "munterRateDown"],
+    params: {
+      munterRateUp:   { id: "munterRateUp",   def: 4, label: "Munter rate (flat/uphill)" },
+      munterRateDown: { id: "munterRateDown", def: 6, label: "Munter rate (downhill)" }
+    },
+    stepH({ distKm, ascentM, descentM, grade }, p) {
+      const units = distKm + (ascentM + descentM) / 100;
+      return units / (grade < 0 ? p.munterRateDown : p.munterRateUp);
+    }
+  },
+
+  // Steady power against gravity, rolling resistance and air drag
+  power: {
+    label: "Cycling power model",
+    activities: ["mtb", "road"],
+    fit: ["powerW", "maxDescentKmh"],
+    params: {
+      powerW:        { id: "powerW",        def: 180,   label: "Power" },
+      massKg:        { id: "massKg",        def: 85,    label: "Rider + bike mass" },
+      cdaM2:         { id: "cdaM2",         def: 0.32,  label: "CdA" },
+      crr:           { id: "crr",           def: 0.005, label: "Crr" },
+      maxDescentKmh: { id: "maxDescentKmh", def: 55,    label: "Max descent speed" }
+    },
+    stepH({ distKm, grade }, p) {
+      return distKm / powerSpeedKmh(grade, p);
+    }
+  }
+};
+
+// Speed where P = v·m·g·(Crr·cosθ + sinθ) + ½·ρ·CdA·v³. P(v)/v rises
+// monotonically, so there is one positive root: bisect in m/s.
+function powerSpeedKmh(grade, { powerW, massKg, cdaM2, crr, maxDescentKmh }) {
+  const th = Math.atan(grade);
+  const a = massKg * 9.81 * (crr * Math.cos(th) + Math.sin(th));
+  const b = 0.5 * 1.225 * cdaM2;
+  let lo = 0, hi = 30;
+  for (let k = 0; k < 40; k++) {
+    const v = (lo + hi) / 2;
+    if (a * v + b * v * v * v < powerW) lo = v; else hi = v;
+  }
+  return clamp(lo * 3.6, 1, maxDescentKmh);
+}
+
+// ---------- Downhill curve ----------
+// Time multiplier against descent gradient: [[descent %, time ×], ...] sorted
+// by gradient, linear in between, flat beyond the ends. The form keeps it as
+// "0:1, 5:0.8, ..." in the hidden #downhillCurve input (saved with the plan).
+const downhillCurveInput = document.getElementById("downhillCurve");
+const downhillCurveEditor = document.getElementById("downhillCurveEditor");
+
+function downhillCurveFactor(curve, pct) {
+  if (pct <= curve[0][0]) return curve[0][1];
+  for (let k = 1; k < curve.length; k++) {
+    const [g1, f1] = curve[k - 1], [g2, f2] = curve[k];
+    if (pct <= g2) return g2 > g1 ? f1 + (f2 - f1) * (pct - g1) / (g2 - g1) : f2;
+  }
+  return curve[curve.length - 1][1];
+}
+
+// "0:1, 5:0.8" -> [[0, 1], [5, 0.8]], or null if any point is unusable
+function parseDownhillCurve(text) {
+  const parts = String(text ?? "").split(",").map(t => t.trim()).filter(Boolean);
+  if (!parts.length) return null;
+  const curve = [];
+  for (const part of parts) {
+    const [g, f] = part.split(":").map(Number);
+    if (!(g >= 0) || !(f > 0)) return null;
+    curve.push([g, f]);
+  }
+  return curve.sort((a, b) => a[0] - b[0]);
+}
+
+// Saved plans hold the curve as points; older or hand-written ones may use the text form
+function toDownhillCurve(v) {
+  if (!Array.isArray(v)) return parseDownhillCurve(v);
+  const ok = v.length && v.every(pt => Array.isArray(pt) && Number(pt[0]) >= 0 && Number(pt[1]) > 0);
+  return ok ? v.map(([g, f]) => [Number(g), Number(f)]).sort((a, b) => a[0] - b[0]) : null;
+}
+
+function formatDownhillCurve(curve) {
+  return curve.map(([g, f]) => `${+g.toFixed(1)}:${+f.toFixed(3)}`).join(", ");
+}
+
+function setDownhillCurve(curve) {
+  if (!downhillCurveInput || !curve) return;
+  downhillCurveInput.value = formatDownhillCurve(curve);
+  renderDownhillCurveEditor();
+}
+
+// One row per point (descent %, time ×) plus add/reset; edits rewrite the hidden input
+function renderDownhillCurveEditor() {
+  if (!downhillCurveEditor) return;
+  const curve = parseDownhillCurve(downhillCurveInput?.value) || ACTIVITY_PRESETS.hike.dhCurve;
+  const rows = curve.map(([g, f], k) => `
+    <tr data-k="${k}">
+      <td><input type="number" class="dc-grade" min="0" step="1" value="${g}" aria-label="Descent %"></td>
+      <td><input type="number" class="dc-factor" min="0.05" step="0.05" value="${f}" aria-label="Time multiplier"></td>
+      <td><button type="button" class="dc-remove" title="Remove point" ${curve.length < 2 ? "disabled" : ""}>×</button></td>
+    </tr>`).join("");
+  downhillCurveEditor.innerHTML = `
+    <table>
+      <thead><tr><th>Descent %</th><th>Time ×</th><th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="curve-actions">
+      <button type="button" class="dc-add">Add point</button>
+      <button type="button" class="dc-reset">Activity default</button>
+    </div>`;
+
+  const readRows = () => [...downhillCurveEditor.querySelectorAll("tbody tr")].map(tr => [
+    parseFloat(tr.querySelector(".dc-grade").value),
+    parseFloat(tr.querySelector(".dc-factor").value)
+  ]);
+  downhillCurveEditor.querySelectorAll("tbody input").forEach(inp => {
+    inp.addEventListener("change", () => {
+      const curve = parseDownhillCurve(readRows().map(([g, f]) => `${g}:${f}`).join(","));
+      if (curve) setDownhillCurve(curve);
+      else renderDownhillCurveEditor(); // revert to the last valid curve
+    });
+  });
+  downhillCurveEditor.querySelectorAll(".dc-remove").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const k = Number(btn.closest("tr").dataset.k);
+      setDownhillCurve(curve.filter((_, j) => j !== k));
+    });
+  });
+  downhillCurveEditor.querySelector(".dc-add").addEventListener("click", () => {
+    const [g, f] = curve[curve.length - 1];
+    setDownhillCurve([...curve, [g + 10, f]]);
+  });
+  downhillCurveEditor.querySelector(".dc-reset").addEventListener("click", () => {
+    setDownhillCurve((ACTIVITY_PRESETS[baseActivity(activitySel?.value)] || ACTIVITY_PRESETS.hike).dhCurve);
+  });
+}
+
+// Only offer the models that fit the activity; fall back to the classic one
+function syncPaceModelOptions(kind) {
+  if (!paceModelSel) return;
+  for (const opt of paceModelSel.options) {
+    opt.disabled = !PACE_MODELS[opt.value]?.activities.includes(baseActivity(kind));
+  }
+  if (paceModelSel.selectedOptions[0]?.disabled) paceModelSel.value = "classic";
+  showPaceModelFields();
+}
+
+// Parameter fields carry data-models="<model> ..."; hide the other models' ones.
+// data-downhill="<mode>" fields also need that downhill mode.
+function showPaceModelFields() {
+  const model = paceModelSel?.value || "classic";
+  const downhill = document.getElementById("downhillMode")?.value || "curve";
+  document.querySelectorAll("#controls [data-models]").forEach(el => {
+    const show = el.dataset.models.split(" ").includes(model) && (!el.dataset.downhill || el.dataset.downhill === downhill);
+    el.classList.toggle("is-hidden", !show);
+  });
 }
 
 // ---------- Global state ----------
 let map, tileLayer, polyline, markers = [];
 let trackLatLngs = [];        // [[lat, lon], ...] (resampled)
+let trackEleM = [];           // smoothed + deadband-filtered elevation per point
 let trackBreakIdx = [];       // segment starts
+let trackStepsCache = null;   // { latlngs, ele, breaks, steps }: trackSteps() of those arrays
 let cumDistKm = [];           // prefix sums
 let cumAscentM = [];
 let cumDescentM = [];
 let cumTimeH = [];
+let trackGrade = [];          // windowed gradient of each step (rise/run), see stepGrades()
 
 let roadbookIdx = [];         // indices into trackLatLngs
 let roadbookLabels = new Map(); // pointIndex -> label
@@ -64,13 +401,28 @@ let legLabels = new Map();      // "a|b" -> custom leg name
 let legStopsMin = new Map();   // "a|b" -> minutes
 let legCondPct  = new Map();   // "a|b" -> percent
 let legCritical = new Map();   // "a|b" -> true (Yes) / false (No)
+let legTerrain  = new Map();   // "a|b" -> terrain class key (see terrainClasses)
+
+// Roadbooks that end a day (overnight stop)
+let roadbookOvernight = new Set(); // pointIndex
+let roadbookSupply = new Map();    // pointIndex -> ["water", "food", ...] (SUPPLY_TAGS keys)
+
+// How each jump between segments counts (see Segment gaps); absent = ignored
+let gapModes = new Map();          // segment start index -> { mode: GAP_MODES key, transferMin }
 
 // Holds the sum of leg times including Stops + Conditions
 let lastTotalAdjustedH = 0;
 
+// pointIndex -> { arrive: Date|null, depart: Date|null } from the last table render
+let lastEtaByIdx = new Map();
+let lastLegEntries = [];       // computeLegEntries() result behind the current table
+let actualTrack = null;        // recording to compare with: { name, points: [{ lat, lon, time }] }
+let actualByIdx = new Map();   // roadbook idx -> { arrive: Date, depart: Date } on the recording
+let actualMatchedFor = null;   // what actualByIdx was matched against (see matchActualTrack)
+
 // Helper to toggle visibility of main sections
 function showMainSections(show) {
-  const ids = ['mapCard', 'summaryCard', 'roadbooksCard'];
+  const ids = ['mapCard', 'summaryCard', 'profileCard', 'gradientCard', 'roadbooksCard'];
   ids.forEach(id => {
     const el = document.getElementById(id);
     if (!el) return;
@@ -94,8 +446,10 @@ function ensureMap() {
 
   map.on('click', (e) => {
     if (!trackLatLngs.length) return;
-    const i = nearestIndexOnTrack([e.latlng.lat, e.latlng.lng], trackLatLngs);
-    addRoadbookIndex(i);
+    const passes = trackPassesNear([e.latlng.lat, e.latlng.lng], clickToleranceKm(e.containerPoint));
+    if (passes.length > 1) { showPassPicker(e.latlng, passes); return; }
+    const i = passes.length ? passes[0].idx : nearestIndexOnTrack([e.latlng.lat, e.latlng.lng], trackLatLngs);
+    withHistory(() => addRoadbookIndex(i));
   });
 }
 ensureMap();
@@ -113,161 +467,449 @@ if (showAdvChk) {
 
 // Apply activity preset on change
 if (activitySel) {
+  renderCustomActivityOptions();
   activitySel.addEventListener('change', () => applyActivityPreset(activitySel.value));
   // Initial preset on load
   applyActivityPreset(activitySel.value || 'hike');
 }
+paceModelSel?.addEventListener('change', showPaceModelFields);
+document.getElementById("downhillMode")?.addEventListener('change', showPaceModelFields);
+
+// Start time only shifts clock times; no need to re-process the GPX
+if (startTimeInput) {
+  startTimeInput.addEventListener('change', () => {
+    if (trackLatLngs.length) renderRoadbooksTable();
+  });
+}
 
+// Fatigue is applied per leg at render time, like the start time
+function showFatigueFields() {
+  document.querySelectorAll("#controls [data-fatigue]").forEach(el => {
+    el.classList.toggle("is-hidden", !fatigueChk?.checked);
+  });
+}
+showFatigueFields();
+for (const id of ["fatigueOn", "fatigueOnsetH", "fatigueRatePct", "fatigueAscentM"]) {
+  document.getElementById(id)?.addEventListener('change', () => {
+    showFatigueFields();
+    if (trackLatLngs.length) renderRoadbooksTable();
+  });
+}
+
+// Water & food settings only change the supply columns
+function showSupplyFields() {
+  document.querySelectorAll("#controls [data-supply]").forEach(el => {
+    el.classList.toggle("is-hidden", !supplyChk?.checked);
+  });
+}
+showSupplyFields();
+for (const id of ["supplyOn", "waterLph", "waterL100m", "kcalPerH", "kcal100m", "carryWaterL", "carryKcal"]) {
+  document.getElementById(id)?.addEventListener('change', () => {
+    showSupplyFields();
+    if (trackLatLngs.length) renderRoadbooksTable();
+  });
+}
+
+// Rest rules, likewise
+function showRestFields() {
+  document.querySelectorAll("#controls [data-rest]").forEach(el => {
+    el.classList.toggle("is-hidden", !restChk?.checked);
+  });
+}
+showRestFields();
+for (const id of ["restOn", "restEveryMin", "restBreakMin", "lunchMin", "lunchAt", "lunchAfterH"]) {
+  document.getElementById(id)?.addEventListener('change', () => {
+    showRestFields();
+    if (trackLatLngs.length) renderRoadbooksTable();
+  });
+}
+
+
+// ---------- Background processing (Web Worker) ----------
+// parse (GeoJSON) → resample → median → deadband (→ DEM) → steps and grades
+// for every segment runs in one long-lived worker built from this file's own
+// functions via a Blob URL (no extra file, works from file://). The worker
+// keeps the DEM tiles, so they are only sent again after they change. GPX,
+// TCX and KML are parsed here, as DOMParser does not exist in workers; the
+// pace-model pass stays here too, since every settings change re-runs it.
+// Without Worker support the same code runs on this thread.
+const PIPELINE_FNS = [runPipeline, parseGeoJSONRoute, geojsonGeometries, geojsonSegments, geojsonWaypoints, numOrNull, validPoint,
+  filterSegment, fillElevationOnPoints, resampleByDistance, medianFilter, sortedIndex, cumulativeDeadbandFilter,
+  demElevations, demElevationAt, trackSteps, stepGrades, haversineKm, clamp, clampToOdd];
+const progressBox = document.getElementById("progressBox");
+const progressBar = document.getElementById("progressBar");
+let pipelineWorkerUrl = null;
+let pipelineWorker = null;      // kept between runs; replaced after a cancel or failure
+let pipelineWorkerTiles = null; // the demTiles array the worker holds
+let pipelineJob = null;         // { resolve } while the worker is busy
+
+// `source` is { segments } or { text } (GeoJSON). Every segment goes through
+// filterSegment() and gets its latlngs and trackSteps(); reports
+// { type: "progress", done } (0..1), then { type: "done", segs, waypoints }
+// (waypoints only when the text was parsed here).
+function runPipeline({ source, processing, dem }, post) {
+  const route = source.text != null ? parseGeoJSONRoute(source.text) : { segments: source.segments, waypoints: null };
+  const total = route.segments.reduce((s, pts) => s + pts.length, 0) || 1;
+  let done = 0;
+  const segs = route.segments.map(pts => {
+    const seg = filterSegment(pts, processing, dem, f => post({ type: "progress", done: (done + f * pts.length) / total }));
+    if (seg) {
+      seg.latlngs = seg.points.map(p => [p.lat, p.lon]);
+      seg.steps = trackSteps(seg.latlngs, seg.ele, [0]);
+    }
+    done += pts.length;
+    post({ type: "progress", done: done / total });
+    return seg;
+  });
+  post({ type: "done", segs, waypoints: route.waypoints });
+}
+
+function pipelineWorkerURL() {
+  if (!pipelineWorkerUrl) {
+    const src = `"use strict";\nconst PACE_GRADE_WIN_M = ${PACE_GRADE_WIN_M};\nlet demTiles = [];\n${PIPELINE_FNS.map(String).join("\n\n")}\n` +
+      `self.onmessage = e => { if (e.data.demTiles) demTiles = e.data.demTiles; runPipeline(e.data, m => self.postMessage(m)); };\n`;
+    pipelineWorkerUrl = URL.createObjectURL(new Blob([src], { type: "text/javascript" }));
+  }
+  return pipelineWorkerUrl;
+}
+
+// -> { segs (runPipeline() output per segment, null for too-short ones),
+// waypoints (the source's, or parsed in the worker) }, or null if the user cancelled
+async function processSegments(source, processing, dem = null) {
+  if (pipelineJob) endPipelineJob(null); // a newer run replaces it
+  const job = { source: { segments: source.segments, text: source.text }, processing, dem };
+  if (!pipelineWorker) {
+    try {
+      if (typeof Worker === "function") pipelineWorker = new Worker(pipelineWorkerURL());
+      pipelineWorkerTiles = null;
+    } catch (e) {
+      console.warn("Worker unavailable, processing on the page:", e);
+    }
+  }
+  const result = pipelineWorker ? await runInWorker(job) : processSegmentsHere(job);
+  return result && { segs: result.segs, waypoints: result.waypoints ?? source.waypoints ?? [] };
+}
+
+function runInWorker(job) {
+  const worker = pipelineWorker;
+  const sendTiles = job.dem && pipelineWorkerTiles !== demTiles;
+  showProgress(0);
+  return new Promise(resolve => {
+    pipelineJob = { resolve };
+    worker.onmessage = (e) => {
+      if (e.data.type === "progress") showProgress(e.data.done);
+      else if (e.data.type === "done") endPipelineJob(e.data, true);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      console.warn("Worker failed, processing on the page:", e.message);
+      endPipelineJob(processSegmentsHere(job));
+    };
+    worker.postMessage(sendTiles ? { ...job, demTiles } : job);
+    if (sendTiles) pipelineWorkerTiles = demTiles;
+  });
+}
+
+function processSegmentsHere(job) {
+  let result = null;
+  runPipeline(job, m => { if (m.type === "done") result = m; });
+  return result;
+}
+
+// A cancelled, replaced or failed run stops the worker (the next run starts a fresh one)
+function endPipelineJob(result, keepWorker = false) {
+  if (!pipelineJob) return;
+  const { resolve } = pipelineJob;
+  pipelineJob = null;
+  if (!keepWorker) {
+    pipelineWorker?.terminate();
+    pipelineWorker = null;
+  }
+  showProgress(null);
+  resolve(result);
+}
+
+// fraction 0..1, or null to hide the bar
+function showProgress(fraction) {
+  progressBox?.classList.toggle("is-hidden", fraction == null);
+  calcBtn.disabled = fraction != null;
+  if (progressBar && fraction != null) progressBar.value = fraction;
+}
+
+document.getElementById("cancelProcessBtn")?.addEventListener("click", () => endPipelineJob(null));
 
 // ---------- Main flow ----------
-calcBtn.addEventListener("click", async () => {
+calcBtn.addEventListener("click", () => processRouteFile());
+
+// Parse + process the selected route file. Resolves true once the track is
+// shown; `opts.importRoadbooks` overrides the checkbox (plan loading).
+async function processRouteFile(opts = {}) {
   const fileInput = document.getElementById("gpxFile");
   if (!fileInput?.files?.length) {
-    alert("Please upload a GPX file.");
-    return;
+    alert("Please upload a route file (GPX, TCX, KML or GeoJSON).");
+    return false;
   }
 
-  const importRoadbooks = document.getElementById("importRoadbooks")?.checked ?? true;
+  const importRoadbooks = opts.importRoadbooks ?? document.getElementById("importRoadbooks")?.checked ?? true;
 
-  const speedFlatKmh   = toPosNum(document.getElementById("speedFlat")?.value, 4);
-  const speedVertMh    = toPosNum(document.getElementById("speedVert")?.value, 300);
-  const downhillFactor = toPosNum(document.getElementById("downhillFactor")?.value, 0.6667);
-  const spacingM       = clamp(toPosNum(document.getElementById("spacingM")?.value, 5), 1, 100);
-  const smoothWinM     = clamp(toPosNum(document.getElementById("smoothWinM")?.value, 35), 5, 500);
-  const elevDeadbandM  = clamp(toNonNegNum(document.getElementById("elevDeadbandM")?.value, 2), 0, 20);
+  const pace = readPaceSettings();
+  const processing = readProcessingSettings();
 
-  if (!(speedFlatKmh > 0) || !(speedVertMh > 0) || !(downhillFactor > 0)) {
-    alert("Please provide valid positive numbers for speeds and downhill factor.");
-    return;
+  const badParam = invalidPaceParam(pace.paceModel);
+  if (badParam) {
+    alert(badParam.type === "curve"
+      ? `Please fix the "${badParam.label}": every point needs a descent % ≥ 0 and a time multiplier > 0.`
+      : `Please provide a valid ${badParam.allowZero ? "non-negative" : "positive"} number for "${badParam.label}".`);
+    return false;
   }
 
-  const gpxText = await readFileAsText(fileInput.files[0]);
-  const segments = parseGPXToSegments(gpxText);
-  if (!segments.length) {
-    outputEl.innerHTML = "<p>No track segments found.</p>";
-    return;
+  const file = fileInput.files[0];
+  const source = parseRouteFile(await readFileAsText(file), file.name);
+  if (!source) {
+    alert("Unrecognised file format. Supported: " + ROUTE_FORMATS.map(f => f.label).join(", ") + ".");
+    return false;
+  }
+  const noSegments = () => { outputEl.innerHTML = "<p>No track segments found.</p>"; return false; };
+  if (source.segments && !source.segments.length) return noSegments();
+
+  const dem = readDemSettings();
+  if (dem.eleSource !== "gps" && !demTiles.length) {
+    alert("Load DEM tiles (advanced settings) or set the elevation source back to the route file.");
+    return false;
   }
 
+  const route = await processSegments(source, processing, dem.eleSource !== "gps" ? dem : null);
+  if (!route) return false; // cancelled: the current track stays
+  const segs = route.segs;
+  if (!segs.length) return noSegments();
+
   // reset globals
   trackLatLngs = [];
+  trackEleM = [];
   trackBreakIdx = [];
-  cumDistKm = [0];
-  cumAscentM = [0];
-  cumDescentM = [0];
-  cumTimeH = [0];
-  roadbookIdx = [];
-  roadbookLabels.clear();
-  legLabels.clear();
-  legStopsMin.clear();
-  legCondPct.clear();
-  legCritical.clear();
+  gapModes = new Map();
+  resetRoadbookState();
+  resetActualTrack();
   clearMarkers();
 
-  let totalDistKm = 0, totalAscentM = 0, totalDescentM = 0, totalTimeHrs = 0;
-  const debugRows = [];
-  let globalIdxOffset = 0;
-
-  for (const pts of segments) {
-    if (pts.length < 2) continue;
-
-    const filled = fillElevationOnPoints(pts);
-    const resampled = resampleByDistance(filled, spacingM);
-    if (resampled.length < 2) continue;
-
-    const winSamples = clampToOdd(Math.max(3, Math.round(smoothWinM / spacingM)), 3, 999);
-    const elev = resampled.map(p => p.ele);
-    const elevSmooth = medianFilter(elev, winSamples);
-    const elevFiltered = cumulativeDeadbandFilter(elevSmooth, elevDeadbandM);
+  const demStats = { points: 0, covered: 0, fileAscentM: 0, fileDescentM: 0, fileHasEle: false };
+  for (const seg of segs) {
+    if (!seg) continue;
 
     // Mark where this segment starts in the global point list
     trackBreakIdx.push(trackLatLngs.length);
 
-    // ✅ Keep cumulative arrays aligned with points at segment boundaries.
-    // If we already have points, push a carry-forward so cum* arrays gain +1 here.
-    if (trackLatLngs.length > 0) {
-      cumDistKm.push(cumDistKm[cumDistKm.length - 1]);
-      cumAscentM.push(cumAscentM[cumAscentM.length - 1]);
-      cumDescentM.push(cumDescentM[cumDescentM.length - 1]);
-      cumTimeH.push(cumTimeH[cumTimeH.length - 1]);
+    // Append this segment’s coordinates and filtered elevations
+    trackLatLngs = trackLatLngs.concat(seg.latlngs);
+    trackEleM = trackEleM.concat(seg.ele);
+    if (seg.dem) {
+      demStats.points += seg.points.length;
+      demStats.covered += seg.dem.covered;
+      demStats.fileHasEle ||= seg.dem.fileEle != null;
+      const fileUD = ascentDescentM(seg.dem.fileEle || []);
+      demStats.fileAscentM += fileUD.ascentM;
+      demStats.fileDescentM += fileUD.descentM;
     }
+  }
 
-    // Append this segment’s coordinates (points count +n)
-    const latlngs = resampled.map(p => [p.lat, p.lon]);
-    trackLatLngs = trackLatLngs.concat(latlngs);
+  setTrackSteps(concatSteps(segs.filter(Boolean).map(seg => seg.steps)));
+  accumulateTrack(pace);
+  demInfo = dem.eleSource !== "gps" ? { ...demStats, mode: dem.eleSource, tiles: demTiles.length } : null;
+  showTrack();
+
+  // add start/end roadbooks
+  if (trackLatLngs.length >= 2) {
+    addRoadbookIndex(0, { noRender: true, label: "Start", locked: true });
+    addRoadbookIndex(trackLatLngs.length - 1, { noRender: true, label: "Finish", locked: true });
+  }
 
-    // Accumulate per-step values (steps count +(n-1))
-    for (let i = 1; i < resampled.length; i++) {
-      const curIdx  = globalIdxOffset + i;
+  // import roadbooks from the route file (matched in route order)
+  if (importRoadbooks) {
+    const matched = matchWaypointsInOrder(route.waypoints);
+    route.waypoints.forEach((wp, k) => {
+      const idx = matched[k];
+      if (!roadbookIdx.includes(idx)) addRoadbookIndex(idx, { noRender: true, label: wp.name || "WP" });
+      else if (!roadbookLabels.get(idx) && wp.name) setRoadbookLabel(idx, wp.name);
+    });
+  }
 
-      const p1 = resampled[i - 1];
-      const p2 = resampled[i];
-      const distKm = haversineKm(p1.lat, p1.lon, p2.lat, p2.lon);
+  renderRoadbooksTable();
+  return true;
+}
 
-      const dEleF = (elevFiltered[i] ?? elevFiltered[i - 1]) - (elevFiltered[i - 1] ?? elevFiltered[i]);
-      const ascentM  = dEleF > 0 ? dEleF : 0;
-      const descentM = dEleF < 0 ? -dEleF : 0;
+// Per-step distance/ascent/descent/time over the processed track.
+// Rebuilds the cum* arrays from trackLatLngs + trackEleM, so it can be
+// re-run without re-parsing (embedded tracks, settings changes).
+// `pace` is readPaceSettings() output: the model key plus every parameter.
+function accumulateTrack(pace) {
+  const model = PACE_MODELS[pace.paceModel] || PACE_MODELS.classic;
+  cumDistKm = [0];
+  cumAscentM = [0];
+  cumDescentM = [0];
+  cumTimeH = [0];
 
-      const h = distKm / speedFlatKmh; // hours
-      const vMag = ascentM > 0 ? ascentM : descentM;
-      const v = vMag > 0 ? (vMag / speedVertMh) : 0;
-
-      let segTimeH = Math.max(h, v) + 0.5 * Math.min(h, v);
-      if (descentM > 0 && descentM >= ascentM) segTimeH *= downhillFactor;
-
-      totalDistKm   += distKm;
-      totalAscentM  += ascentM;
-      totalDescentM += descentM;
-      totalTimeHrs  += segTimeH;
-
-      // cum* arrays gain +1 per step here
-      cumDistKm.push(cumDistKm[cumDistKm.length - 1] + distKm);
-      cumAscentM.push(cumAscentM[cumAscentM.length - 1] + ascentM);
-      cumDescentM.push(cumDescentM[cumDescentM.length - 1] + descentM);
-      cumTimeH.push(cumTimeH[cumTimeH.length - 1] + segTimeH);
-
-      debugRows.push({
-        i: curIdx,
-        distKm,
-        dEleSmooth: Math.round((elevSmooth[i] ?? 0) - (elevSmooth[i - 1] ?? 0)),
-        dEleFiltered: Math.round(dEleF),
-        ascentM,
-        descentM,
-        segTimeH
-      });
+  const breaks = new Set(trackBreakIdx);
+  const steps = currentTrackSteps();
+  trackGrade = steps.grade;
+  gradeCache = null;
+  for (let i = 1; i < trackLatLngs.length; i++) {
+    // ✅ Keep cumulative arrays aligned with points at segment boundaries:
+    // the jump into a new segment is a carry-forward (zero step), unless
+    // that gap is set to count as a straight line.
+    const straight = breaks.has(i) && gapModes.get(i)?.mode === "straight";
+    if (breaks.has(i) && !straight) {
+      cumDistKm.push(cumDistKm[i - 1]);
+      cumAscentM.push(cumAscentM[i - 1]);
+      cumDescentM.push(cumDescentM[i - 1]);
+      cumTimeH.push(cumTimeH[i - 1]);
+      continue;
     }
 
-    // Advance global index by number of points in this segment
-    globalIdxOffset += resampled.length;
+    const step = straight ? gapStep(i) : stepAt(steps, i);
+    const segTimeH = model.stepH(step, pace);
+
+    cumDistKm.push(cumDistKm[i - 1] + step.distKm);
+    cumAscentM.push(cumAscentM[i - 1] + step.ascentM);
+    cumDescentM.push(cumDescentM[i - 1] + step.descentM);
+    cumTimeH.push(cumTimeH[i - 1] + segTimeH);
   }
+}
 
+// trackSteps() of the current track, reused until the track arrays are replaced
+function currentTrackSteps() {
+  const c = trackStepsCache;
+  if (c?.latlngs !== trackLatLngs || c.ele !== trackEleM || c.breaks !== trackBreakIdx) {
+    setTrackSteps(trackSteps(trackLatLngs, trackEleM, trackBreakIdx));
+  }
+  return trackStepsCache.steps;
+}
 
-  // draw polyline on live map
-  if (polyline) polyline.remove();
-  polyline = L.polyline(trackLatLngs, { weight: 4, color: '#2a7de1' }).addTo(map);
-  map.fitBounds(polyline.getBounds());
-  clearBtn.disabled = false;
+// Steps computed elsewhere (the worker) for the current track arrays
+function setTrackSteps(steps) {
+  trackStepsCache = { latlngs: trackLatLngs, ele: trackEleM, breaks: trackBreakIdx, steps };
+}
 
-  // add start/end roadbooks
-  if (trackLatLngs.length >= 2) {
-    addRoadbookIndex(0, { noRender: true, label: "Start", locked: true });
-    addRoadbookIndex(trackLatLngs.length - 1, { noRender: true, label: "Finish", locked: true });
+// trackSteps() of consecutive segments joined into those of the whole track
+// (each segment's first entry is already the zero step of a break)
+function concatSteps(list) {
+  const out = { distKm: [], ascentM: [], descentM: [], grade: [] };
+  for (const steps of list) {
+    for (const k in out) for (const v of steps[k]) out[k].push(v);
   }
+  return out;
+}
 
-  // import roadbooks from GPX file
-  if (importRoadbooks) {
-    const waypoints = parseGPXRoadbooks(gpxText);
-    for (const wp of waypoints) {
-      const idx = nearestIndexOnTrack([wp.lat, wp.lon], trackLatLngs);
-      if (!roadbookIdx.includes(idx)) addRoadbookIndex(idx, { noRender: true, label: wp.name || "WP" });
-      else if (!roadbookLabels.get(idx) && wp.name) setRoadbookLabel(idx, wp.name);
+// Pace-model inputs for a point list, as parallel arrays: entry i is the step
+// i-1 → i (entry 0 and segment starts are zero steps).
+function trackSteps(latlngs, ele, breakIdx) {
+  const n = latlngs.length;
+  const breaks = new Set(breakIdx);
+  const distKm = new Array(n).fill(0);
+  const ascentM = new Array(n).fill(0);
+  const descentM = new Array(n).fill(0);
+  for (let i = 1; i < n; i++) {
+    if (breaks.has(i)) continue;
+    const [lat1, lon1] = latlngs[i - 1];
+    const [lat2, lon2] = latlngs[i];
+    distKm[i] = haversineKm(lat1, lon1, lat2, lon2);
+
+    const dEleF = (ele[i] ?? ele[i - 1]) - (ele[i - 1] ?? ele[i]);
+    if (dEleF > 0) ascentM[i] = dEleF;
+    if (dEleF < 0) descentM[i] = -dEleF;
+  }
+  return { distKm, ascentM, descentM, grade: stepGrades(ele, breakIdx, distKm) };
+}
+
+function stepAt(steps, i) {
+  return { distKm: steps.distKm[i], ascentM: steps.ascentM[i], descentM: steps.descentM[i], grade: steps.grade[i] };
+}
+
+// Gradient (rise/run) of every step i-1 → i, measured over winM (default
+// PACE_GRADE_WIN_M) centred on the step and clipped to its segment. Index 0 and breaks are 0.
+function stepGrades(ele, breakIdx, stepKm, winM = PACE_GRADE_WIN_M) {
+  const n = ele.length;
+  const grade = new Array(n).fill(0);
+  const pos = new Array(n).fill(0); // along-track metres, continuous over breaks
+  for (let i = 1; i < n; i++) pos[i] = pos[i - 1] + stepKm[i] * 1000;
+
+  const half = winM / 2;
+  const starts = [...new Set([0, ...breakIdx])].sort((a, b) => a - b);
+  starts.forEach((s, k) => {
+    const end = (starts[k + 1] ?? n) - 1;
+    let lo = s, hi = s;
+    for (let i = s + 1; i <= end; i++) {
+      const c = (pos[i - 1] + pos[i]) / 2;
+      while (lo < i - 1 && pos[lo + 1] <= c - half) lo++;
+      if (hi < i) hi = i;
+      while (hi < end && pos[hi] < c + half) hi++;
+      const run = pos[hi] - pos[lo];
+      const e1 = ele[lo], e2 = ele[hi];
+      grade[i] = run > 0 && e1 != null && e2 != null ? (e2 - e1) / run : 0;
+    }
+  });
+  return grade;
+}
+
+// Pace settings from the form: { paceModel, ...every model's parameters }
+function readPaceSettings() {
+  const pace = { paceModel: PACE_MODELS[paceModelSel?.value] ? paceModelSel.value : "classic" };
+  for (const model of Object.values(PACE_MODELS)) {
+    for (const [key, f] of Object.entries(model.params)) {
+      const v = document.getElementById(f.id)?.value;
+      if (f.type === "select") pace[key] = v || f.def;
+      else if (f.type === "curve") pace[key] = parseDownhillCurve(v) || f.def;
+      else pace[key] = f.allowZero ? toNonNegNum(v, f.def) : toPosNum(v, f.def);
     }
   }
+  return pace;
+}
 
-  renderRoadbooksTable();
+// Puts a readPaceSettings()-shaped object back into the form
+function writePaceToForm(pace) {
+  if (paceModelSel && PACE_MODELS[pace.paceModel]) paceModelSel.value = pace.paceModel;
+  for (const model of Object.values(PACE_MODELS)) {
+    for (const [key, f] of Object.entries(model.params)) {
+      const v = pace[key];
+      if (v == null) continue;
+      if (f.type === "curve") setDownhillCurve(toDownhillCurve(v));
+      else {
+        const el = document.getElementById(f.id);
+        if (el) el.value = typeof v === "number" ? +v.toPrecision(4) : v;
+      }
+    }
+  }
+  showPaceModelFields();
+}
 
-  // Refresh Summary using the latest cumulative arrays
-  updateSummaryCard();
+// Resample/smooth/deadband settings from the form (clamped to sane ranges)
+function readProcessingSettings() {
+  return {
+    spacingM:      clamp(toPosNum(document.getElementById("spacingM")?.value, 5), 1, 100),
+    smoothWinM:    clamp(toPosNum(document.getElementById("smoothWinM")?.value, 35), 5, 500),
+    elevDeadbandM: clamp(toNonNegNum(document.getElementById("elevDeadbandM")?.value, 2), 0, 20)
+  };
+}
 
+// First parameter of `modelKey` whose form value is unusable, or null
+function invalidPaceParam(modelKey) {
+  const model = PACE_MODELS[modelKey] || PACE_MODELS.classic;
+  for (const f of Object.values(model.params)) {
+    const v = document.getElementById(f.id)?.value;
+    if (f.type === "select") continue;
+    if (f.type === "curve") { if (!parseDownhillCurve(v)) return f; continue; }
+    const n = parseFloat(v);
+    if (!(n > 0 || (f.allowZero && n === 0))) return f;
+  }
+  return null;
+}
+
+// Draw the processed track, reveal the cards and enable the actions
+function showTrack() {
+  clearHistory(); // snapshots hold point indices of the previous track
+  if (polyline) polyline.remove();
+  polyline = L.polyline(trackLatLngs, { weight: 4, color: '#2a7de1' }).addTo(map);
+  map.fitBounds(polyline.getBounds());
+  clearBtn.disabled = false;
 
   showMainSections(true);
 
@@ -276,110 +918,606 @@ calcBtn.addEventListener("click", async () => {
     try {
       map.invalidateSize(true);
       if (polyline) map.fitBounds(polyline.getBounds(), { padding: [20, 20] });
+      renderElevationProfile(); // redraw at the now-visible card width
     } catch (e) {
       console.warn('invalidateSize/fitBounds failed:', e);
     }
   });
 
-
-
   // enable actions
   saveBtn.disabled   = false;
+  if (librarySaveBtn) librarySaveBtn.disabled = false;
   exportCsv.disabled = false;
+  if (exportGpx) exportGpx.disabled = false;
   printBtn.disabled  = true;   // will enable after table render to ensure presence
   setTimeout(() => { printBtn.disabled = false; }, 0);
-});
-
-
+}
 
-clearBtn.addEventListener('click', () => {
-  if (!trackLatLngs.length) return;
+// Roadbooks plus every per-roadbook / per-leg override
+function resetRoadbookState() {
   roadbookIdx = [];
   roadbookLabels.clear();
   legLabels.clear();
   legStopsMin.clear();
   legCondPct.clear();
   legCritical.clear();
-  clearMarkers();
-  addRoadbookIndex(0, { noRender: true, label: "Start", locked: true });
-  addRoadbookIndex(trackLatLngs.length - 1, { noRender: true, label: "Finish", locked: true });
-  renderRoadbooksTable();
-});
-
-// ---------- Print (table-only) ----------
-if (printBtn) {
-  printBtn.addEventListener('click', () => {
-    // No popup windows, no snapshots. Just print the current page.
-    // CSS hides map & controls in @media print.
-    window.print();
-  });
+  legTerrain.clear();
+  roadbookOvernight.clear();
+  roadbookSupply.clear();
 }
 
-// ---------- Roadbooks (add/remove/labels) ----------
-function addRoadbookIndex(i, opts = {}) {
-  const { noRender = false, label = "", locked = false } = opts;
-  i = Math.max(0, Math.min(trackLatLngs.length - 1, Math.round(i)));
-
-  // If this index already exists, optionally update its label and return.
-  if (roadbookIdx.includes(i)) {
-    const newLabel = (label || "").trim();
-    if (newLabel && (!roadbookLabels.get(i) || roadbookLabels.get(i) === `#${i}`)) {
-      setRoadbookLabel(i, newLabel);
-    }
-    if (!noRender) renderRoadbooksTable();
-    return;
+// Moves roadbook-keyed state to new point indices. `mapIdx(old)` returns
+// the new index, or null to drop that roadbook (its legs go with it).
+// Roadbooks mapped onto the same point: the first in route order keeps it,
+// the later ones are dropped with their label, flags and adjacent legs.
+// -> old indices dropped by such collisions
+function remapRoadbookState(mapIdx) {
+  const moved = new Map(); // old -> new, for the roadbooks that survive
+  const taken = new Set();
+  const collided = [];
+  for (const i of [...roadbookIdx].sort((a, b) => a - b)) {
+    const j = mapIdx(i);
+    if (j == null) continue;
+    if (taken.has(j)) { collided.push(i); continue; }
+    taken.add(j);
+    moved.set(i, j);
   }
+  const to = i => (moved.has(i) ? moved.get(i) : null);
+  const remapIdxMap = (m) => new Map([...m].map(([i, v]) => [to(i), v]).filter(([i]) => i != null));
+  const remapLegMap = (m) => {
+    const out = new Map();
+    for (const [key, v] of m) {
+      const [a, b] = key.split('|').map(Number);
+      const na = to(a), nb = to(b);
+      if (na == null || nb == null || na === nb) continue;
+      const k = getLegKey(Math.min(na, nb), Math.max(na, nb)); // reversal swaps ends
+      if (!out.has(k)) out.set(k, v);
+    }
+    return out;
+  };
 
-  roadbookIdx.push(i);
-  roadbookIdx.sort((a, b) => a - b);
-
-  const initial = (label && String(label).trim()) ||
-                  roadbookLabels.get(i) ||
-                  (i === 0 ? "Start" :
-                   i === trackLatLngs.length - 1 ? "Finish" :
-                   `WP ${roadbookIdx.indexOf(i)}`);
+  roadbookIdx = [...moved.values()].sort((a, b) => a - b);
+  roadbookLabels = remapIdxMap(roadbookLabels);
+  roadbookOvernight = new Set([...roadbookOvernight].map(to).filter(i => i != null));
+  roadbookSupply = remapIdxMap(roadbookSupply);
+  legLabels   = remapLegMap(legLabels);
+  legStopsMin = remapLegMap(legStopsMin);
+  legCondPct  = remapLegMap(legCondPct);
+  legCritical = remapLegMap(legCritical);
+  legTerrain  = remapLegMap(legTerrain);
+  return collided;
+}
 
-  roadbookLabels.set(i, initial);
 
-  const m = L.marker(trackLatLngs[i]).addTo(map);
-  m.__idx = i;
-  m.__locked = locked;
-  m.bindTooltip(initial, { permanent: true, direction: 'top', offset: [0, -12], opacity: 0.85 });
 
-  m.on('click', () => {
-    if (m.__locked) return;
-    const pos = roadbookIdx.indexOf(m.__idx);
-    if (pos >= 0) roadbookIdx.splice(pos, 1);
-    const mi = markers.findIndex(mm => mm.__idx === m.__idx);
-    if (mi >= 0) { markers[mi].remove(); markers.splice(mi, 1); }
-    roadbookLabels.delete(m.__idx);
-    // remove any custom leg labels & overrides involving this index
-    [...legLabels.keys()].forEach(k => { const [a,b]=k.split('|').map(Number); if (a===m.__idx || b===m.__idx) legLabels.delete(k); });
-    legStopsMin.delete(`${m.__idx}|${m.__idx+1}`);
-    legCondPct.delete(`${m.__idx}|${m.__idx+1}`);
+clearBtn.addEventListener('click', () => {
+  if (!trackLatLngs.length) return;
+  withHistory(() => {
+    resetRoadbookState();
+    clearMarkers();
+    addRoadbookIndex(0, { noRender: true, label: "Start", locked: true });
+    addRoadbookIndex(trackLatLngs.length - 1, { noRender: true, label: "Finish", locked: true });
     renderRoadbooksTable();
   });
+});
 
-  markers.push(m);
-  if (!noRender) renderRoadbooksTable();
+// ---------- Track editing (reverse / trim / split / append) ----------
+// Each edit rewrites trackLatLngs/trackEleM/trackBreakIdx, re-accumulates,
+// and moves roadbook state with remapRoadbookState(). Start/Finish are
+// re-pinned to the new track ends. History is cleared (indices changed).
+const trackEditSel = document.getElementById("trackEditAt");
+const trimStartBtn = document.getElementById("trimStartBtn");
+const trimEndBtn = document.getElementById("trimEndBtn");
+const splitTrackBtn = document.getElementById("splitTrackBtn");
+const appendFileInput = document.getElementById("appendFile");
+
+// Interior roadbooks to trim/split at
+function refreshTrackEditOptions() {
+  if (!trackEditSel) return;
+  const prev = trackEditSel.value;
+  const inner = roadbookIdx.slice(1, -1);
+  trackEditSel.innerHTML = inner.length
+    ? inner.map(i => `<option value="${i}">${escapeHtml(getWaypointLabel(i))} (km ${(cumDistKm[i] ?? 0).toFixed(1)})</option>`).join("")
+    : `<option value="">Add a roadbook first</option>`;
+  if (inner.includes(Number(prev))) trackEditSel.value = prev;
+  for (const btn of [trimStartBtn, trimEndBtn, splitTrackBtn]) if (btn) btn.disabled = !inner.length;
 }
 
-
-function clearMarkers() { markers.forEach(m => m.remove()); markers = []; }
-
-function setRoadbookLabel(idx, newLabel) {
-  const label = (newLabel || "").trim();
-  if (!roadbookIdx.includes(idx)) return;
-  roadbookLabels.set(idx, label || `#${idx}`);
-  const m = markers.find(mm => mm.__idx === idx);
-  if (m) {
-    const tt = m.getTooltip();
-    if (tt) tt.setContent(roadbookLabels.get(idx));
-    else m.bindTooltip(roadbookLabels.get(idx), { permanent: true, direction: 'top', offset: [0, -12], opacity: 0.85 });
+// Swap in an edited point list and carry the roadbooks over
+// (`steps`: its trackSteps(), when already known)
+function applyTrackEdit(latlngs, ele, breaks, mapIdx, steps = null) {
+  trackLatLngs = latlngs;
+  trackEleM = ele;
+  trackBreakIdx = [...new Set(breaks)].sort((a, b) => a - b);
+  if (steps) setTrackSteps(steps);
+  demInfo = null; // the file-vs-DEM comparison no longer applies
+  remapGapModes(mapIdx);
+  accumulateTrack(readPaceSettings());
+  remapRoadbookState(mapIdx);
+
+  // Default end labels follow the track ends; custom labels stay with their place
+  const lastIdx = trackLatLngs.length - 1;
+  roadbookIdx = [...new Set([0, ...roadbookIdx, lastIdx])].sort((a, b) => a - b);
+  for (const [i, label] of roadbookLabels) {
+    if (label !== "Start" && label !== "Finish") continue;
+    roadbookLabels.set(i, i === 0 ? "Start" : i === lastIdx ? "Finish" : `WP ${roadbookIdx.indexOf(i)}`);
   }
+  if (!roadbookLabels.has(0)) roadbookLabels.set(0, "Start");
+  if (!roadbookLabels.has(lastIdx)) roadbookLabels.set(lastIdx, "Finish");
+
+  showTrack();
+  rebuildMarkers();
+  renderRoadbooksTable();
 }
 
-// ---------- Leg names ----------
+document.getElementById("reverseTrackBtn")?.addEventListener("click", () => {
+  const n = trackLatLngs.length;
+  if (n < 2) return;
+  // A segment starting at s ends at s' - 1; reversed, the next one starts at n - s
+  const breaks = [0, ...trackBreakIdx.filter(s => s > 0).map(s => n - s)];
+  applyTrackEdit(trackLatLngs.slice().reverse(), trackEleM.slice().reverse(), breaks, i => n - 1 - i);
+});
+
+trimStartBtn?.addEventListener("click", () => {
+  const k = Number(trackEditSel?.value);
+  if (!(k > 0)) return;
+  if (!confirm(`Drop the track before "${getWaypointLabel(k)}" (${fmtKm(cumDistKm[k] ?? 0)})?`)) return;
+  const breaks = [0, ...trackBreakIdx.filter(s => s > k).map(s => s - k)];
+  applyTrackEdit(trackLatLngs.slice(k), trackEleM.slice(k), breaks, i => (i >= k ? i - k : null));
+});
+
+trimEndBtn?.addEventListener("click", () => {
+  const k = Number(trackEditSel?.value);
+  if (!(k > 0)) return;
+  const restKm = (cumDistKm[cumDistKm.length - 1] ?? 0) - (cumDistKm[k] ?? 0);
+  if (!confirm(`Drop the track after "${getWaypointLabel(k)}" (${fmtKm(restKm)})?`)) return;
+  const breaks = trackBreakIdx.filter(s => s < k);
+  applyTrackEdit(trackLatLngs.slice(0, k + 1), trackEleM.slice(0, k + 1), breaks, i => (i <= k ? i : null));
+});
+
+// Segment break: the roadbook's point ends one segment and a copy of it starts
+// the next. Distances and times stay the same; the exported GPX gets two <trkseg>s.
+splitTrackBtn?.addEventListener("click", () => {
+  const k = Number(trackEditSel?.value);
+  if (!(k > 0)) return;
+  if (trackBreakIdx.includes(k) || trackBreakIdx.includes(k + 1)) {
+    alert(`"${getWaypointLabel(k)}" is already at a segment boundary.`);
+    return;
+  }
+  const latlngs = [...trackLatLngs.slice(0, k + 1), trackLatLngs[k].slice(), ...trackLatLngs.slice(k + 1)];
+  const ele = [...trackEleM.slice(0, k + 1), trackEleM[k], ...trackEleM.slice(k + 1)];
+  const breaks = [...trackBreakIdx.map(s => (s > k ? s + 1 : s)), k + 1];
+  applyTrackEdit(latlngs, ele, breaks, i => (i <= k ? i : i + 1));
+});
+
+// Another route file's segments, processed with the current settings, go on the end
+appendFileInput?.addEventListener("change", async () => {
+  const file = appendFileInput.files?.[0];
+  appendFileInput.value = "";
+  if (!file || !trackLatLngs.length) return;
+
+  const source = parseRouteFile(await readFileAsText(file), file.name);
+  const noSegments = "No track segments found in that file.";
+  if (!source || source.segments?.length === 0) {
+    alert(source ? noSegments : "Unrecognised file format. Supported: " + ROUTE_FORMATS.map(f => f.label).join(", ") + ".");
+    return;
+  }
+  const dem = readDemSettings();
+  const processing = readProcessingSettings();
+  const route = await processSegments(source, processing, dem.eleSource !== "gps" && demTiles.length ? dem : null);
+  if (!route || !trackLatLngs.length) return;
+  if (!route.segs.length) { alert(noSegments); return; }
+  const latlngs = trackLatLngs.slice(), ele = trackEleM.slice(), breaks = trackBreakIdx.slice();
+  const steps = [currentTrackSteps()];
+  for (const seg of route.segs) {
+    if (!seg) continue;
+    breaks.push(latlngs.length);
+    for (const ll of seg.latlngs) latlngs.push(ll);
+    for (const e of seg.ele) ele.push(e);
+    steps.push(seg.steps);
+  }
+  const oldLast = trackLatLngs.length - 1;
+  if (latlngs.length === trackLatLngs.length) { alert("The file's segments are too short to append."); return; }
+
+  // The old Finish becomes the joint
+  if (roadbookLabels.get(oldLast) === "Finish") roadbookLabels.set(oldLast, `Start of ${file.name.replace(/\.[^.]+$/, "")}`);
+  applyTrackEdit(latlngs, ele, breaks, i => i, concatSteps(steps));
+
+  if (document.getElementById("importRoadbooks")?.checked && route.waypoints.length) {
+    const matched = matchWaypointsInOrder(route.waypoints, oldLast + 1);
+    route.waypoints.forEach((wp, k) => {
+      if (matched[k] > oldLast) addRoadbookIndex(matched[k], { noRender: true, label: wp.name || "WP" });
+    });
+  }
+  renderRoadbooksTable();
+});
+
+// ---------- Segment gaps ----------
+// A multi-segment route jumps from the end of one segment to the start of the
+// next. Each gap (keyed by the segment start index) is ignored (zero distance
+// and time), walked as a straight line through the pace model, or a transfer:
+// a fixed duration on top of the activity time, with no distance or ascent.
+const GAP_MODES = {
+  ignore:   { label: "Ignore" },
+  straight: { label: "Straight line" },
+  ferry:    { label: "Ferry", icon: "⛴", transfer: true },
+  bus:      { label: "Bus", icon: "🚌", transfer: true },
+  lift:     { label: "Lift", icon: "🚡", transfer: true }
+};
+const GAP_MIN_M = 5;          // shorter jumps (e.g. a split point) are not gaps
+const GAP_TRANSFER_MIN = 30;  // default transfer duration
+let gapLayer = null;
+
+// Gaps of the current track, in route order
+function trackGaps() {
+  const gaps = [];
+  trackBreakIdx.forEach((s, seg) => {
+    if (!(s > 0 && s < trackLatLngs.length)) return;
+    const step = gapStep(s);
+    if (step.distKm * 1000 < GAP_MIN_M) return;
+    const set = gapModes.get(s);
+    gaps.push({
+      idx: s, seg, ...step,
+      mode: GAP_MODES[set?.mode] ? set.mode : "ignore",
+      transferMin: set?.transferMin ?? GAP_TRANSFER_MIN
+    });
+  });
+  return gaps;
+}
+
+// The straight step from the last point of one segment to the first of the next
+function gapStep(s) {
+  const [lat1, lon1] = trackLatLngs[s - 1];
+  const [lat2, lon2] = trackLatLngs[s];
+  const distKm = haversineKm(lat1, lon1, lat2, lon2);
+  const dEle = ((trackEleM[s] ?? trackEleM[s - 1]) - (trackEleM[s - 1] ?? trackEleM[s])) || 0;
+  return {
+    distKm,
+    ascentM: Math.max(0, dEle),
+    descentM: Math.max(0, -dEle),
+    grade: distKm > 0 ? dEle / (distKm * 1000) : 0
+  };
+}
+
+function gapTransferH(gaps) {
+  return gaps.reduce((s, g) => s + (GAP_MODES[g.mode].transfer ? g.transferMin / 60 : 0), 0);
+}
+
+// Track edits move a gap with its two end points (they stay neighbours)
+function remapGapModes(mapIdx) {
+  const breaks = new Set(trackBreakIdx);
+  const out = new Map();
+  for (const [s, v] of gapModes) {
+    const a = mapIdx(s - 1), b = mapIdx(s);
+    if (a == null || b == null) continue;
+    if (breaks.has(Math.max(a, b))) out.set(Math.max(a, b), v);
+  }
+  gapModes = out;
+}
+
+function setGapMode(s, patch) {
+  const cur = gapModes.get(s) || { mode: "ignore", transferMin: GAP_TRANSFER_MIN };
+  const next = { ...cur, ...patch };
+  withHistory(() => {
+    if (next.mode === "ignore" && next.transferMin === GAP_TRANSFER_MIN) gapModes.delete(s);
+    else gapModes.set(s, next);
+  });
+  accumulateTrack(readPaceSettings()); // straight-line gaps change the cumulative arrays
+  renderRoadbooksTable();
+}
+
+// Leg distance cell tooltip when the leg crosses straight-line gaps
+function straightGapsTitle(L) {
+  const km = L.gaps.filter(g => g.mode === "straight").reduce((s, g) => s + g.distKm, 0);
+  return km ? ` title="Includes ${fmtKm(km)} of straight-line gaps"` : "";
+}
+
+function gapLabel(g) {
+  const m = GAP_MODES[g.mode];
+  return m.transfer ? `${m.icon} ${fmtKm(g.distKm)}, ${minutesToText(g.transferMin)}` : fmtKm(g.distKm);
+}
+
+// Dashed connectors across the gaps, labelled with the straight-line length
+function renderGapConnectors() {
+  if (!map) return;
+  if (gapLayer) gapLayer.remove();
+  gapLayer = L.layerGroup();
+  for (const g of trackGaps()) {
+    const color = g.mode === "ignore" ? "#868e96" : g.mode === "straight" ? "#2a7de1" : "#e8590c";
+    L.polyline([trackLatLngs[g.idx - 1], trackLatLngs[g.idx]],
+      { color, weight: 3, dashArray: "6 6", interactive: false })
+      .bindTooltip(gapLabel(g), { permanent: true, direction: "center", className: "gap-label" })
+      .addTo(gapLayer);
+  }
+  gapLayer.addTo(map);
+}
+
+// Summary card: one row per gap with its mode (and transfer minutes)
+function gapsSummaryHtml() {
+  const gaps = trackGaps();
+  if (!gaps.length) return "";
+  const items = gaps.map((g, k) => `
+    <li>Gap ${k + 1} at km ${(cumDistKm[g.idx - 1] ?? 0).toFixed(1)}: ${fmtKm(g.distKm)} straight line${g.ascentM || g.descentM ? `, ${g.ascentM ? "↑" : "↓"} ${Math.round(g.ascentM || g.descentM)} m` : ""}
+      <select class="gap-mode" data-idx="${g.idx}" aria-label="Gap ${k + 1}">
+        ${Object.entries(GAP_MODES).map(([key, m]) =>
+          `<option value="${key}"${key === g.mode ? " selected" : ""}>${m.icon ? m.icon + " " : ""}${m.label}</option>`).join("")}
+      </select>
+      ${GAP_MODES[g.mode].transfer
+        ? `<input type="number" class="gap-min" data-idx="${g.idx}" min="0" step="5" value="${g.transferMin}" aria-label="Transfer minutes"> min`
+        : ""}
+    </li>`).join("");
+  const transferH = gapTransferH(gaps);
+  return `<h3>Gaps between segments</h3><ul class="gap-list">${items}</ul>
+    ${transferH ? `<p class="subtle">Transfers add ${fmtHrs(transferH)} to the total time (not to the activity time).</p>` : ""}`;
+}
+
+function bindGapSummary() {
+  outputEl.querySelectorAll(".gap-mode").forEach(sel => sel.addEventListener("change", () => {
+    setGapMode(Number(sel.dataset.idx), { mode: sel.value });
+  }));
+  outputEl.querySelectorAll(".gap-min").forEach(inp => inp.addEventListener("change", () => {
+    const min = Math.round(Number(inp.value));
+    if (!(min >= 0)) { alert("Transfer time must be a non-negative number of minutes."); return; }
+    setGapMode(Number(inp.dataset.idx), { transferMin: min });
+  }));
+}
+
+// Plans store gaps by segment number (indices move when settings change)
+function serializeGapModes() {
+  return [...gapModes].map(([s, v]) => ({ seg: trackBreakIdx.indexOf(s), mode: v.mode, transferMin: v.transferMin }))
+    .filter(g => g.seg > 0);
+}
+
+function restoreGapModes(list) {
+  gapModes = new Map();
+  for (const g of list || []) {
+    const s = trackBreakIdx[g.seg];
+    if (s > 0) gapModes.set(s, { mode: g.mode, transferMin: g.transferMin != null ? Number(g.transferMin) : GAP_TRANSFER_MIN });
+  }
+}
+
+// ---------- Print (table-only) ----------
+if (printBtn) {
+  printBtn.addEventListener('click', () => {
+    // No popup windows, no snapshots. Just print the current page.
+    // CSS hides map & controls in @media print.
+    window.print();
+  });
+}
+
+// ---------- Roadbooks (add/remove/labels) ----------
+function addRoadbookIndex(i, opts = {}) {
+  const { noRender = false, label = "", locked = false } = opts;
+  i = Math.max(0, Math.min(trackLatLngs.length - 1, Math.round(i)));
+
+  // If this index already exists, optionally update its label and return.
+  if (roadbookIdx.includes(i)) {
+    const newLabel = (label || "").trim();
+    if (newLabel && (!roadbookLabels.get(i) || roadbookLabels.get(i) === `#${i}`)) {
+      setRoadbookLabel(i, newLabel);
+    }
+    if (!noRender) renderRoadbooksTable();
+    return;
+  }
+
+  roadbookIdx.push(i);
+  roadbookIdx.sort((a, b) => a - b);
+
+  const initial = (label && String(label).trim()) ||
+                  roadbookLabels.get(i) ||
+                  (i === 0 ? "Start" :
+                   i === trackLatLngs.length - 1 ? "Finish" :
+                   `WP ${roadbookIdx.indexOf(i)}`);
+
+  roadbookLabels.set(i, initial);
+
+  createRoadbookMarker(i, locked);
+  if (!noRender) renderRoadbooksTable();
+}
+
+function createRoadbookMarker(i, locked) {
+  const m = L.marker(trackLatLngs[i], { draggable: !locked }).addTo(map);
+  m.__idx = i;
+  m.__locked = locked;
+  m.bindTooltip(markerTooltipHtml(i), { permanent: true, direction: 'top', offset: [0, -12], opacity: 0.85 });
+
+  m.on('click', () => {
+    if (m.__locked) return;
+    withHistory(() => removeRoadbookIndex(m.__idx));
+  });
+
+  // Drag: snap to the track between the neighbouring roadbooks, then re-key
+  if (!locked) {
+    m.on('drag', () => {
+      const j = snapDragIndex(m.__idx, m.getLatLng());
+      m.setLatLng(trackLatLngs[j]);
+    });
+    m.on('dragend', () => {
+      const j = snapDragIndex(m.__idx, m.getLatLng());
+      if (j === m.__idx) { m.setLatLng(trackLatLngs[j]); return; }
+      withHistory(() => moveRoadbookIndex(m.__idx, j));
+    });
+  }
+
+  markers.push(m);
+  return m;
+}
+
+// Nearest track point to `latlng`, kept strictly between the neighbours of
+// roadbook `idx` so leg order (and every leg key) survives the move
+function snapDragIndex(idx, latlng) {
+  const pos = roadbookIdx.indexOf(idx);
+  const lo = (roadbookIdx[pos - 1] ?? -1) + 1;
+  const hi = (roadbookIdx[pos + 1] ?? trackLatLngs.length) - 1;
+  if (lo > hi) return idx;
+  return nearestIndexOnTrack([latlng.lat, latlng.lng], trackLatLngs, lo, hi);
+}
+
+// Re-keys roadbook `from` to point `to`: label, overnight flag and the
+// names/stops/cond/critical of both adjacent legs move along with it
+function moveRoadbookIndex(from, to) {
+  if (from === to || !roadbookIdx.includes(from) || roadbookIdx.includes(to)) return;
+  remapRoadbookState(i => (i === from ? to : i));
+  rebuildMarkers();
+  renderRoadbooksTable();
+}
+
+function removeRoadbookIndex(idx) {
+  const pos = roadbookIdx.indexOf(idx);
+  if (pos >= 0) roadbookIdx.splice(pos, 1);
+  const mi = markers.findIndex(mm => mm.__idx === idx);
+  if (mi >= 0) { markers[mi].remove(); markers.splice(mi, 1); }
+  roadbookLabels.delete(idx);
+  roadbookOvernight.delete(idx);
+  roadbookSupply.delete(idx);
+  // remove any custom leg labels & overrides involving this index
+  const touches = k => { const [a, b] = k.split('|').map(Number); return a === idx || b === idx; };
+  for (const m of [legLabels, legStopsMin, legCondPct, legCritical, legTerrain]) {
+    [...m.keys()].filter(touches).forEach(k => m.delete(k));
+  }
+  renderRoadbooksTable();
+}
+
+// One marker per roadbook; Start/Finish (track ends) are locked
+function rebuildMarkers() {
+  clearMarkers();
+  const lastIdx = trackLatLngs.length - 1;
+  for (const i of roadbookIdx) createRoadbookMarker(i, i === 0 || i === lastIdx);
+}
+
+function clearMarkers() { markers.forEach(m => m.remove()); markers = []; }
+
+function setRoadbookLabel(idx, newLabel) {
+  const label = (newLabel || "").trim();
+  if (!roadbookIdx.includes(idx)) return;
+  roadbookLabels.set(idx, label || `#${idx}`);
+  const m = markers.find(mm => mm.__idx === idx);
+  if (m) {
+    const tt = m.getTooltip();
+    if (tt) tt.setContent(markerTooltipHtml(idx));
+    else m.bindTooltip(markerTooltipHtml(idx), { permanent: true, direction: 'top', offset: [0, -12], opacity: 0.85 });
+  }
+}
+
+// Label plus planned clock times (when a start time is set)
+function markerTooltipHtml(idx) {
+  const label = escapeHtml(getWaypointLabel(idx)) + (roadbookOvernight.has(idx) ? " (overnight)" : "") +
+    (roadbookSupply.get(idx) || []).map(t => ` ${SUPPLY_TAGS[t].icon}`).join("");
+  const eta = lastEtaByIdx.get(idx);
+  if (!eta) return label;
+  const parts = [];
+  if (eta.arrive) parts.push(`arr ${fmtClock(eta.arrive)}`);
+  if (eta.depart && (!eta.arrive || eta.depart - eta.arrive >= 60000)) parts.push(`dep ${fmtClock(eta.depart)}`);
+  return `${label}<br><small>${parts.join(' · ')}</small>`;
+}
+
+function refreshMarkerTooltips() {
+  for (const m of markers) {
+    const tt = m.getTooltip();
+    if (tt) tt.setContent(markerTooltipHtml(m.__idx));
+  }
+}
+
+// ---------- Undo / redo ----------
+// Snapshot-based: every roadbook/leg/gap edit runs inside withHistory(), which
+// keeps the state from before the edit if the edit changed anything.
+// Snapshots hold point indices, so a new track clears the history.
+const HISTORY_LIMIT = 100;
+let undoStack = [];
+let redoStack = [];
+
+const undoBtn = document.getElementById("undoBtn");
+const redoBtn = document.getElementById("redoBtn");
+
+function captureRoadbookState() {
+  return {
+    roadbookIdx: roadbookIdx.slice(),
+    roadbookLabels: new Map(roadbookLabels),
+    legLabels: new Map(legLabels),
+    legStopsMin: new Map(legStopsMin),
+    legCondPct: new Map(legCondPct),
+    legCritical: new Map(legCritical),
+    legTerrain: new Map(legTerrain),
+    roadbookOvernight: new Set(roadbookOvernight),
+    roadbookSupply: new Map(roadbookSupply),
+    gapModes: new Map(gapModes)
+  };
+}
+
+function applyRoadbookState(st) {
+  roadbookIdx = st.roadbookIdx.slice();
+  roadbookLabels = new Map(st.roadbookLabels);
+  legLabels = new Map(st.legLabels);
+  legStopsMin = new Map(st.legStopsMin);
+  legCondPct = new Map(st.legCondPct);
+  legCritical = new Map(st.legCritical);
+  legTerrain = new Map(st.legTerrain);
+  roadbookOvernight = new Set(st.roadbookOvernight);
+  roadbookSupply = new Map(st.roadbookSupply);
+  const gapsChanged = stateKey({ gapModes }) !== stateKey({ gapModes: st.gapModes });
+  gapModes = new Map(st.gapModes);
+  if (gapsChanged) accumulateTrack(readPaceSettings()); // straight-line gaps are in the cumulative arrays
+  rebuildMarkers();
+  renderRoadbooksTable();
+}
+
+// Comparable form of a snapshot (Maps/Sets as sorted entry lists)
+function stateKey(st) {
+  return JSON.stringify(Object.entries(st).map(([k, v]) =>
+    [k, v instanceof Map ? [...v].sort() : v instanceof Set ? [...v].sort((a, b) => a - b) : v]));
+}
+
+function withHistory(fn) {
+  const before = captureRoadbookState();
+  const result = fn();
+  if (stateKey(before) !== stateKey(captureRoadbookState())) {
+    undoStack.push(before);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+    updateHistoryButtons();
+  }
+  return result;
+}
+
+function undo() {
+  if (!undoStack.length) return;
+  redoStack.push(captureRoadbookState());
+  applyRoadbookState(undoStack.pop());
+  updateHistoryButtons();
+}
+
+function redo() {
+  if (!redoStack.length) return;
+  undoStack.push(captureRoadbookState());
+  applyRoadbookState(redoStack.pop());
+  updateHistoryButtons();
+}
+
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+  if (undoBtn) undoBtn.disabled = !undoStack.length;
+  if (redoBtn) redoBtn.disabled = !redoStack.length;
+}
+
+if (undoBtn) undoBtn.addEventListener('click', undo);
+if (redoBtn) redoBtn.addEventListener('click', redo);
+
+// Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo — but leave text fields their own undo
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const t = e.target;
+  if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+  else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+});
+
+// ---------- Leg names ----------
 function getLegKey(a, b) { return `${a}|${b}`; }
 function getWaypointLabel(idx) { return (roadbookLabels.get(idx) || `#${idx}`); }
 function getDefaultLegLabel(a, b) { return `${getWaypointLabel(a)} \u2192 ${getWaypointLabel(b)}`; } // →
@@ -390,350 +1528,2616 @@ function setLegLabelByKey(key, label) {
   else legLabels.set(key, txt);
 }
 
-// ---------- Table render (grouped headers + editable fields) ----------
-function renderRoadbooksTable() {
-  if (!trackLatLngs.length || roadbookIdx.length < 2) {
-    roadbooksEl.innerHTML = "";
-    // keep summary consistent
-    updateSummaryCard();
-    return;
+// ---------- Legs (shared by table, summary, save) ----------
+// One entry per consecutive roadbook pair, with Stops/Cond applied and,
+// when a start time is set, arrival/departure clock times at the leg end.
+// Stops are dwell time at the leg's end waypoint: arrive, rest, depart.
+// After an overnight roadbook the next day departs at the start time of day.
+function computeLegEntries() {
+  const legEntries = [];
+  const lastIdx = trackLatLngs.length - 1;
+  const start = getPlanStart();
+  let clock = start ? start.getTime() : null;
+  let day = 1;
+  const fatigue = readFatigueSettings();
+  let effortH = 0; // accumulated effort since the start of the day (fatigue model)
+  const rest = readRestSettings();
+  const supply = readSupplySettings();
+  const restState = { sinceBreakH: 0, dayMovingH: 0, lunched: false, dayStartMs: clock };
+  const gaps = trackGaps();
+
+  lastEtaByIdx = new Map();
+  if (start && roadbookIdx.length) lastEtaByIdx.set(roadbookIdx[0], { arrive: null, depart: new Date(clock) });
+
+  for (let k = 1; k < roadbookIdx.length; k++) {
+    // Clamp leg endpoints into valid range (belt & braces)
+    const aRaw = roadbookIdx[k - 1];
+    const bRaw = roadbookIdx[k];
+    const a = Math.max(0, Math.min(aRaw, lastIdx));
+    const b = Math.max(0, Math.min(bRaw, lastIdx));
+    const key = getLegKey(a, b);
+
+    // Safely read cumulative arrays
+    const dA = cumDistKm[a]   ?? 0, dB = cumDistKm[b]   ?? dA;
+    const uA = cumAscentM[a]  ?? 0, uB = cumAscentM[b]  ?? uA;
+    const vA = cumDescentM[a] ?? 0, vB = cumDescentM[b] ?? vA;
+    const tA = cumTimeH[a]    ?? 0, tB = cumTimeH[b]    ?? tA;
+
+    const distKm = dB - dA;
+    const ascM   = uB - uA;
+    const desM   = vB - vA;
+    const timeH  = tB - tA;
+
+    const condPct  = legCondPct.get(key) ?? 0;
+    const terrain  = terrainClasses[legTerrain.get(key)] ? legTerrain.get(key) : null;
+    const terrainH = timeH / terrainSpeedFactor(terrain); // base time on this surface
+    const freshH   = terrainH * (1 + condPct / 100);
+    const tired    = fatigue.fatigueOn ? legFatigue(a, b, freshH, effortH, fatigue) : { extraH: 0, effortH };
+    const fatigueH = tired.extraH;
+    effortH        = tired.effortH;
+    const movingH  = freshH + fatigueH;
+    const legGaps  = gaps.filter(g => g.idx > a && g.idx <= b);
+    const transferH = gapTransferH(legGaps); // ferry/bus/lift: no Cond, fatigue or rest
+
+    const overnight = roadbookOvernight.has(b) && k < roadbookIdx.length - 1;
+    if (overnight) effortH = 0; // a night's rest
+
+    const arriveMs = clock != null ? clock + (movingH + transferH) * 3600000 : null;
+    let suggested = null;
+    if (rest.restOn && !legStopsMin.has(key)) {
+      suggested = suggestRestStop(rest, restState, { k, b, movingH, arriveMs, endOfDay: overnight || k === roadbookIdx.length - 1 });
+    } else {
+      noteManualStop(restState, movingH, legStopsMin.get(key) ?? 0);
+    }
+    if (overnight) Object.assign(restState, { sinceBreakH: 0, dayMovingH: 0, lunched: false });
+    const stopsMin = legStopsMin.get(key) ?? suggested?.min ?? 0;
+    const totalH   = movingH + transferH + (stopsMin / 60);
+
+    let arrive = null, depart = null, light = null;
+    if (clock != null) {
+      arrive = new Date(arriveMs);
+      depart = new Date(arrive.getTime() + stopsMin * 60000);
+      if (overnight) depart = new Date(Math.max(depart.getTime(), nextMorning(arrive, start).getTime()));
+      clock = depart.getTime();
+      if (overnight) restState.dayStartMs = clock;
+      lastEtaByIdx.set(b, { arrive, depart });
+      const [lat, lon] = trackLatLngs[b];
+      light = daylightAt(arrive, lat, lon);
+    }
+
+    const need = legSupplyNeed(supply, movingH + stopsMin / 60, ascM); // transfers use no water or food
+    legEntries.push({ idx: k, a, b, key, day, overnight, distKm, ascM, desM, baseH: timeH, terrain, terrainH, stopsMin, suggested, condPct, fatigueH, movingH, totalH,
+                      gaps: legGaps, transferH, waterL: need.waterL, kcal: need.kcal, arrive, depart, light,
+                      actual: actualLeg(a, b, terrainH, movingH + transferH, fatigueH + transferH) });
+    if (overnight) day++;
+  }
+  return legEntries;
+}
+
+// ---------- Fatigue ----------
+// Effort = moving hours (before fatigue) + ascent / fatigueAscentM. Past
+// fatigueOnsetH effort hours, each further hour slows the pace by
+// fatigueRatePct %. Integrated point by point, so a long leg tires as it goes.
+function readFatigueSettings() {
+  return {
+    fatigueOn:      !!fatigueChk?.checked,
+    fatigueOnsetH:  toNonNegNum(document.getElementById("fatigueOnsetH")?.value, 3),
+    fatigueRatePct: toNonNegNum(document.getElementById("fatigueRatePct")?.value, 5),
+    fatigueAscentM: toPosNum(document.getElementById("fatigueAscentM")?.value, 600)
+  };
+}
+
+// Leg a → b moving `freshH` hours without fatigue, starting at `effortH`.
+// -> { extraH, effortH } (added time, effort at the leg end)
+function legFatigue(a, b, freshH, effortH, f) {
+  const baseH = (cumTimeH[b] ?? 0) - (cumTimeH[a] ?? 0);
+  const scale = baseH > 0 ? freshH / baseH : 0; // terrain + Cond on top of the model
+  let extraH = 0;
+  for (let i = a + 1; i <= b; i++) {
+    const dt = ((cumTimeH[i] ?? 0) - (cumTimeH[i - 1] ?? 0)) * scale;
+    const dUp = (cumAscentM[i] ?? 0) - (cumAscentM[i - 1] ?? 0);
+    effortH += dt + dUp / f.fatigueAscentM;
+    extraH += dt * (f.fatigueRatePct / 100) * Math.max(0, effortH - f.fatigueOnsetH);
+  }
+  return { extraH, effortH };
+}
+
+// ---------- Rest rules ----------
+// Suggested Stops for legs the user has not edited: a short break every
+// restEveryMin moving minutes and one lunch per day, at the roadbook reached
+// closest to lunchAt (or lunchAfterH moving hours in, without a start time).
+// Breaks taken during a leg are booked as dwell at its end roadbook.
+function readRestSettings() {
+  const [h, m] = (document.getElementById("lunchAt")?.value || "12:00").split(":").map(Number);
+  return {
+    restOn:       !!restChk?.checked,
+    restEveryMin: toPosNum(document.getElementById("restEveryMin")?.value, 60),
+    restBreakMin: toNonNegNum(document.getElementById("restBreakMin")?.value, 10),
+    lunchMin:     toNonNegNum(document.getElementById("lunchMin")?.value, 30),
+    lunchAt:      `${String(h || 0).padStart(2, "0")}:${String(m || 0).padStart(2, "0")}`,
+    lunchAfterH:  toNonNegNum(document.getElementById("lunchAfterH")?.value, 4)
+  };
+}
+
+// Leg k (ending at point b) with no manual stops. Advances `state`.
+// -> { min, reasons } or null when no break falls on this leg
+function suggestRestStop(rest, state, { k, b, movingH, arriveMs, endOfDay }) {
+  const reasons = [];
+  let min = 0;
+  state.dayMovingH += movingH;
+  state.sinceBreakH += movingH;
+
+  if (rest.lunchMin > 0 && !state.lunched && !endOfDay) {
+    // Lunch here if arriving here is at least as close to lunch time as
+    // arriving at the next roadbook. A day that starts after lunch time has none.
+    const nextH = k + 1 < roadbookIdx.length ? legEstimateH(b, roadbookIdx[k + 1]) : 0;
+    let dueIn; // hours from this arrival to lunch time
+    if (arriveMs != null) {
+      const [h, m] = rest.lunchAt.split(":").map(Number);
+      const at = new Date(state.dayStartMs ?? arriveMs); at.setHours(h, m, 0, 0);
+      if (state.dayStartMs != null && state.dayStartMs > at.getTime()) state.lunched = true;
+      dueIn = (at.getTime() - arriveMs) / 3600000;
+    } else {
+      dueIn = rest.lunchAfterH - state.dayMovingH;
+    }
+    if (!state.lunched && Math.abs(dueIn) <= Math.abs(dueIn - nextH)) {
+      state.lunched = true;
+      min += rest.lunchMin;
+      reasons.push(`${rest.lunchMin} min lunch`);
+    }
+  }
+
+  const breaks = Math.floor(state.sinceBreakH * 60 / rest.restEveryMin + 1e-9);
+  if (reasons.length) state.sinceBreakH = 0; // lunch doubles as the break
+  else if (breaks > 0 && rest.restBreakMin > 0) {
+    min += breaks * rest.restBreakMin;
+    reasons.push(`${breaks > 1 ? `${breaks} × ` : ""}${rest.restBreakMin} min break`);
+    state.sinceBreakH -= breaks * rest.restEveryMin / 60;
+  }
+  return min > 0 ? { min, reasons } : null;
+}
+
+// A leg whose Stops the user set (or dismissed): any stop restarts the count
+function noteManualStop(state, movingH, stopsMin) {
+  state.dayMovingH += movingH;
+  state.sinceBreakH = stopsMin > 0 ? 0 : state.sinceBreakH + movingH;
+}
+
+// Rough moving time for a → b (terrain + Cond, no fatigue), for the lunch lookahead
+function legEstimateH(a, b) {
+  const key = getLegKey(a, b);
+  const baseH = (cumTimeH[b] ?? 0) - (cumTimeH[a] ?? 0);
+  const terrain = terrainClasses[legTerrain.get(key)] ? legTerrain.get(key) : null;
+  return baseH / terrainSpeedFactor(terrain) * (1 + (legCondPct.get(key) ?? 0) / 100);
+}
+
+// ---------- Water, food & resupply ----------
+// Roadbooks carry supply tags; a leg needs water/food for its total time
+// (moving + stops) plus its ascent. Out of each source you carry what the
+// stretch to the next source of that kind needs. The Start counts as a full
+// source of both.
+const SUPPLY_TAGS = {
+  water:    { label: "Water source", icon: "💧", gives: ["water"] },
+  food:     { label: "Food",         icon: "🍞", gives: ["food"] },
+  shelter:  { label: "Shelter",      icon: "🏠", gives: [] },
+  resupply: { label: "Resupply",     icon: "🛒", gives: ["water", "food"] }
+};
+
+function readSupplySettings() {
+  return {
+    supplyOn:    !!supplyChk?.checked,
+    waterLph:    toNonNegNum(document.getElementById("waterLph")?.value, 0.5),
+    waterL100m:  toNonNegNum(document.getElementById("waterL100m")?.value, 0.1),
+    kcalPerH:    toNonNegNum(document.getElementById("kcalPerH")?.value, 250),
+    kcal100m:    toNonNegNum(document.getElementById("kcal100m")?.value, 40),
+    carryWaterL: toPosNum(document.getElementById("carryWaterL")?.value, 2),
+    carryKcal:   toPosNum(document.getElementById("carryKcal")?.value, 4000)
+  };
+}
+
+// `activeH`: moving + stop time (ferry/bus/lift time is left out)
+function legSupplyNeed(f, activeH, ascM) {
+  return {
+    waterL: activeH * f.waterLph + (ascM / 100) * f.waterL100m,
+    kcal:   activeH * f.kcalPerH + (ascM / 100) * f.kcal100m
+  };
+}
+
+function suppliesAt(idx, kind) {
+  return idx === roadbookIdx[0] || (roadbookSupply.get(idx) || []).some(t => SUPPLY_TAGS[t]?.gives.includes(kind));
+}
+
+// Stretches between sources of `kind` ("water" | "food") over the legs.
+// -> [{ from, to, legs, amount, short }] (amount in L or kcal)
+function supplyStretches(legs, kind) {
+  const f = readSupplySettings();
+  const cap = kind === "water" ? f.carryWaterL : f.carryKcal;
+  const out = [];
+  let cur = null;
+  for (const L of legs) {
+    if (!cur) cur = { from: L.a, to: L.b, legs: [], amount: 0, short: false };
+    cur.legs.push(L);
+    cur.to = L.b;
+    cur.amount += kind === "water" ? L.waterL : L.kcal;
+    if (suppliesAt(L.b, kind) || L === legs[legs.length - 1]) {
+      cur.short = cur.amount > cap;
+      out.push(cur);
+      cur = null;
+    }
+  }
+  return out;
+}
+
+function fmtWater(l) { return `${l.toFixed(1)} L`; }
+function fmtKcal(k) { return `${Math.round(k / 10) * 10} kcal`; }
+
+// Tag toggles for the roadbook at the end of a leg
+function supplyTagsHtml(idx) {
+  const tags = roadbookSupply.get(idx) || [];
+  return `<span class="wb-supply-tags">${Object.entries(SUPPLY_TAGS).map(([k, t]) =>
+    `<label class="${tags.includes(k) ? "on" : ""}" title="${escapeHtml(t.label)} at ${escapeHtml(getWaypointLabel(idx))}"><input type="checkbox" class="wb-supply" data-idx="${idx}" data-tag="${k}"${tags.includes(k) ? " checked" : ""} />${t.icon}</label>`).join("")}</span>`;
+}
+
+function bindSupplyEditors() {
+  roadbooksEl.querySelectorAll('.wb-supply').forEach(chk => {
+    chk.addEventListener('change', () => {
+      const idx = Number(chk.dataset.idx), tag = chk.dataset.tag;
+      withHistory(() => {
+        const tags = new Set(roadbookSupply.get(idx) || []);
+        if (chk.checked) tags.add(tag); else tags.delete(tag);
+        if (tags.size) roadbookSupply.set(idx, Object.keys(SUPPLY_TAGS).filter(k => tags.has(k)));
+        else roadbookSupply.delete(idx);
+      });
+      renderRoadbooksTable();
+    });
+  });
+}
+
+// "2.1 L · 900 kcal" out of a source roadbook (red when over capacity)
+function carryCellText(carryOut, idx) {
+  const parts = [];
+  const W = carryOut.water.get(idx), F = carryOut.food.get(idx);
+  if (W) parts.push(`<span class="wb-carry${W.short ? " supply-short" : ""}" title="To ${escapeHtml(getWaypointLabel(W.to))}">${fmtWater(W.amount)}</span>`);
+  if (F) parts.push(`<span class="wb-carry${F.short ? " supply-short" : ""}" title="To ${escapeHtml(getWaypointLabel(F.to))}">${fmtKcal(F.amount)}</span>`);
+  return parts.join(" · ");
+}
+
+function supplySummaryHtml() {
+  const legs = lastLegEntries;
+  if (!legs.length) return "";
+  const f = readSupplySettings();
+  const line = (kind, fmt, cap) => supplyStretches(legs, kind).map(S =>
+    `<span class="${S.short ? "supply-short" : ""}">${escapeHtml(getWaypointLabel(S.from))} → ${escapeHtml(getWaypointLabel(S.to))}: ${fmt(S.amount)}${S.short ? ` (over ${fmt(cap)})` : ""}</span>`).join("; ");
+  const totalL = legs.reduce((s, L) => s + L.waterL, 0);
+  const totalKcal = legs.reduce((s, L) => s + L.kcal, 0);
+  return `
+    <h3>Water &amp; food</h3>
+    <ul>
+      <li><strong>Total:</strong> ${fmtWater(totalL)}, ${fmtKcal(totalKcal)}</li>
+      <li><strong>Water to carry:</strong> ${line("water", fmtWater, f.carryWaterL)}</li>
+      <li><strong>Food to carry:</strong> ${line("food", fmtKcal, f.carryKcal)}</li>
+    </ul>`;
+}
+
+// Day after `arrive`, at the plan's start time of day
+function nextMorning(arrive, start) {
+  return new Date(arrive.getFullYear(), arrive.getMonth(), arrive.getDate() + 1,
+                  start.getHours(), start.getMinutes());
+}
+
+// Per-day subtotals: [{ day, legs, fromIdx, toIdx, distKm, ascM, desM, baseH, stopsMin, totalH, depart, arrive }]
+function groupLegsByDay(legs) {
+  const days = [];
+  for (const L of legs) {
+    let D = days[days.length - 1];
+    if (!D || D.day !== L.day) {
+      D = { day: L.day, legs: [], fromIdx: L.a, toIdx: L.b, distKm: 0, ascM: 0, desM: 0, baseH: 0, stopsMin: 0, totalH: 0,
+            depart: days.length ? days[days.length - 1].legs.at(-1).depart : getPlanStart(), arrive: null };
+      days.push(D);
+    }
+    D.legs.push(L);
+    D.toIdx = L.b;
+    D.distKm += L.distKm; D.ascM += L.ascM; D.desM += L.desM;
+    D.baseH += L.baseH; D.stopsMin += L.stopsMin; D.totalH += L.totalH;
+    D.arrive = L.arrive;
+  }
+  return days;
+}
+
+function toggleOvernight(idx, on) {
+  if (on) roadbookOvernight.add(idx);
+  else roadbookOvernight.delete(idx);
+  renderRoadbooksTable();
+}
+
+// Planned start from the settings form (local time), or null when unset
+function getPlanStart() {
+  const v = startTimeInput?.value;
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isFinite(d.getTime()) ? d : null;
+}
+
+// ---------- Terrain / surface classes ----------
+// Catalogue: key -> { label, color, speed: { hike, mtb, road } }. `speed` is
+// a speed multiplier per activity (0.5 = half as fast, so twice the time),
+// applied to the leg's base time before Cond%. Kept in localStorage; saved
+// plans carry a copy so their classes survive on another machine.
+const TERRAIN_STORAGE_KEY = "gpxplanner.terrainClasses";
+const DEFAULT_TERRAIN_CLASSES = {
+  paved:       { label: "Paved road",  color: "#495057", speed: { hike: 1.0,  mtb: 1.1,  road: 1.0 } },
+  gravel:      { label: "Gravel",      color: "#b08968", speed: { hike: 1.0,  mtb: 0.95, road: 0.75 } },
+  trail:       { label: "Trail",       color: "#2b8a3e", speed: { hike: 1.0,  mtb: 0.85, road: 0.5 } },
+  singletrack: { label: "Singletrack", color: "#74b816", speed: { hike: 0.95, mtb: 0.75, road: 0.4 } },
+  rocky:       { label: "Rocky path",  color: "#e8590c", speed: { hike: 0.8,  mtb: 0.55, road: 0.3 } },
+  scree:       { label: "Scree",       color: "#c92a2a", speed: { hike: 0.6,  mtb: 0.3,  road: 0.2 } },
+  snow:        { label: "Snow",        color: "#1c7ed6", speed: { hike: 0.7,  mtb: 0.4,  road: 0.3 } },
+  offtrail:    { label: "Off-trail",   color: "#7048e8", speed: { hike: 0.6,  mtb: 0.4,  road: 0.2 } }
+};
+const TERRAIN_ACTIVITIES = [["hike", "Hiking ×"], ["mtb", "MTB ×"], ["road", "Road ×"]];
+
+const terrainEditorEl = document.getElementById("terrainEditor");
+let terrainClasses = loadTerrainClasses();
+let terrainLayer = null; // coloured leg overlays on the map
+
+function loadTerrainClasses() {
+  try {
+    const o = JSON.parse(localStorage.getItem(TERRAIN_STORAGE_KEY) || "null");
+    if (o && typeof o === "object" && !Array.isArray(o) && Object.keys(o).length) return o;
+  } catch { /* fall back to the defaults */ }
+  return JSON.parse(JSON.stringify(DEFAULT_TERRAIN_CLASSES));
+}
+
+function saveTerrainClasses() {
+  try {
+    localStorage.setItem(TERRAIN_STORAGE_KEY, JSON.stringify(terrainClasses));
+  } catch (e) {
+    alert("Could not store the terrain catalogue: " + e.message);
+  }
+}
+
+// Speed multiplier of a class for the current activity (1 without a class)
+function terrainSpeedFactor(key) {
+  const t = terrainClasses[key];
+  const v = t?.speed?.[baseActivity(activitySel?.value || "hike")];
+  return v > 0 ? v : 1;
+}
+
+function bindTerrainEditors() {
+  roadbooksEl.querySelectorAll('.wb-terrain').forEach(sel => {
+    sel.addEventListener('change', () => {
+      const key = sel.dataset.legkey;
+      withHistory(() => {
+        if (sel.value) legTerrain.set(key, sel.value);
+        else legTerrain.delete(key);
+      });
+      renderRoadbooksTable();
+    });
+  });
+}
+
+// Classes a loaded plan uses but this catalogue lacks are added (local edits win)
+function adoptTerrainClasses(classes) {
+  let added = false;
+  for (const [k, t] of Object.entries(classes || {})) {
+    if (terrainClasses[k]) continue;
+    terrainClasses[k] = { label: t.label, color: t.color || "#868e96", speed: { ...t.speed } };
+    added = true;
+  }
+  if (added) { saveTerrainClasses(); renderTerrainEditor(); }
+}
+
+// Colour every leg that has a class; the blue route line stays underneath
+function renderTerrainOverlay() {
+  if (!map) return;
+  if (terrainLayer) terrainLayer.remove();
+  terrainLayer = L.layerGroup();
+  if (mapColorBySel?.value === "grade") return; // the gradient overlay replaces it
+  const breaks = new Set(trackBreakIdx);
+  for (const leg of lastLegEntries) {
+    const t = terrainClasses[leg.terrain];
+    if (!t) continue;
+    let part = [];
+    for (let i = leg.a; i <= leg.b; i++) {
+      if (breaks.has(i) && part.length) { terrainLayer.addLayer(terrainLine(part, t)); part = []; }
+      part.push(trackLatLngs[i]);
+    }
+    if (part.length > 1) terrainLayer.addLayer(terrainLine(part, t));
+  }
+  terrainLayer.addTo(map);
+}
+
+function terrainLine(latlngs, t) {
+  return L.polyline(latlngs, { color: t.color, weight: 6, opacity: 0.85, interactive: false });
+}
+
+// Catalogue editor (advanced settings): name, colour and a speed × per activity
+function renderTerrainEditor() {
+  if (!terrainEditorEl) return;
+  const rows = Object.entries(terrainClasses).map(([key, t]) => `
+    <tr data-key="${escapeHtml(key)}">
+      <td><input type="text" class="te-label" value="${escapeHtml(t.label)}" aria-label="Name"></td>
+      <td><input type="color" class="te-color" value="${escapeHtml(t.color)}" aria-label="Colour"></td>
+      ${TERRAIN_ACTIVITIES.map(([act]) => `
+      <td><input type="number" class="te-speed" data-act="${act}" min="0.05" step="0.05" value="${t.speed?.[act] ?? 1}"></td>`).join("")}
+      <td><button type="button" class="te-remove" title="Remove class">×</button></td>
+    </tr>`).join("");
+  terrainEditorEl.innerHTML = `
+    <table>
+      <thead><tr><th>Class</th><th>Colour</th>${TERRAIN_ACTIVITIES.map(([, h]) => `<th>${h}</th>`).join("")}<th></th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="curve-actions">
+      <button type="button" class="te-add">Add class</button>
+      <button type="button" class="te-reset">Defaults</button>
+    </div>`;
+
+  const changed = () => {
+    saveTerrainClasses();
+    if (trackLatLngs.length) renderRoadbooksTable();
+  };
+  terrainEditorEl.querySelectorAll("tbody tr").forEach(tr => {
+    const t = terrainClasses[tr.dataset.key];
+    tr.querySelector(".te-label").addEventListener("change", e => { t.label = e.target.value.trim() || t.label; changed(); });
+    tr.querySelector(".te-color").addEventListener("change", e => { t.color = e.target.value; changed(); });
+    tr.querySelectorAll(".te-speed").forEach(inp => inp.addEventListener("change", () => {
+      const v = parseFloat(inp.value);
+      if (v > 0) { t.speed = { ...t.speed, [inp.dataset.act]: v }; changed(); }
+      else inp.value = t.speed?.[inp.dataset.act] ?? 1;
+    }));
+    tr.querySelector(".te-remove").addEventListener("click", () => {
+      // The catalogue is not part of Undo, so a class in use stays
+      const used = [...legTerrain.values()].filter(k => k === tr.dataset.key).length;
+      if (used) {
+        alert(`"${t.label}" is set on ${used} leg${used === 1 ? "" : "s"}. Change ${used === 1 ? "that leg" : "those legs"} to another class first.`);
+        return;
+      }
+      delete terrainClasses[tr.dataset.key];
+      renderTerrainEditor();
+      changed();
+    });
+  });
+  terrainEditorEl.querySelector(".te-add").addEventListener("click", () => {
+    terrainClasses["t-" + Date.now().toString(36)] = { label: "New class", color: "#868e96", speed: { hike: 1, mtb: 1, road: 1 } };
+    renderTerrainEditor();
+    changed();
+  });
+  terrainEditorEl.querySelector(".te-reset").addEventListener("click", () => {
+    if (!confirm("Replace the terrain catalogue with the defaults?")) return;
+    terrainClasses = JSON.parse(JSON.stringify(DEFAULT_TERRAIN_CLASSES));
+    renderTerrainEditor();
+    changed();
+  });
+}
+
+renderTerrainEditor();
+
+// ---------- Plan vs actual (recorded track) ----------
+// A timed recording is matched to the roadbooks in route order. A leg's
+// actual time runs from leaving roadbook a to reaching roadbook b, so it
+// includes unplanned breaks on the way and compares with the planned moving
+// time (base × Cond). The Cond% that would have matched is the realistic one.
+const ACTUAL_MATCH_KM = 0.1;   // the recording must pass this close to a roadbook
+const ACTUAL_DWELL_KM = 0.02;  // within this of the closest fix counts as "at" the roadbook
+const ACTUAL_FLAG_H = 5 / 60;  // |Δ| above this is highlighted
+
+const actualFileInput = document.getElementById("actualFile");
+const clearActualBtn = document.getElementById("clearActualBtn");
+
+actualFileInput?.addEventListener("change", async () => {
+  const file = actualFileInput.files?.[0];
+  if (!file) return;
+  if (!trackLatLngs.length) {
+    alert("Process a route first, then compare it with a recording.");
+    actualFileInput.value = "";
+    return;
+  }
+  const points = parseGPXToSegments(await readFileAsText(file)).flat().filter(p => p.time != null);
+  if (points.length < 2) {
+    alert("No timed track points found in " + file.name + ". Use a recorded GPX with <time> stamps.");
+    actualFileInput.value = "";
+    return;
+  }
+  actualTrack = { name: file.name, points };
+  renderRoadbooksTable();
+  if (!actualByIdx.size) alert("The recording does not pass within " + ACTUAL_MATCH_KM * 1000 + " m of any roadbook.");
+});
+
+clearActualBtn?.addEventListener("click", () => {
+  resetActualTrack();
+  renderRoadbooksTable();
+});
+
+// A new route: the recording belonged to the old one
+function resetActualTrack() {
+  actualTrack = null;
+  actualByIdx = new Map();
+  actualMatchedFor = null;
+  if (actualFileInput) actualFileInput.value = "";
+}
+
+// Walks the recording once, roadbook by roadbook: the first pass within
+// ACTUAL_MATCH_KM after the previous match. Unreached roadbooks stay unmatched.
+// Cached: only re-walks when the recording, the track or the roadbooks change.
+// Run by renderRoadbooksTable(), which every such change ends in; the leg
+// computation only reads actualByIdx.
+function matchActualTrack() {
+  const key = roadbookIdx.join();
+  if (actualMatchedFor && actualMatchedFor.recording === actualTrack && actualMatchedFor.cumDistKm === cumDistKm &&
+      actualMatchedFor.key === key) return;
+  actualMatchedFor = { recording: actualTrack, cumDistKm, key };
+  actualByIdx = new Map();
+  if (!actualTrack) return;
+  const pts = actualTrack.points;
+  let cursor = 0;
+  roadbookIdx.forEach((idx, k) => {
+    const [lat, lon] = trackLatLngs[idx];
+    const d = j => haversineKm(lat, lon, pts[j].lat, pts[j].lon);
+
+    let j = cursor;
+    while (j < pts.length && d(j) > ACTUAL_MATCH_KM) j++;
+    if (j >= pts.length) return;
+    const enter = j;
+    let best = j, bestD = d(j);
+    for (; j < pts.length && d(j) <= ACTUAL_MATCH_KM; j++) {
+      if (d(j) < bestD) { best = j; bestD = d(j); }
+    }
+    const leave = j - 1;
+
+    let first = best, last = best;
+    for (let q = enter; q <= leave; q++) {
+      if (d(q) <= bestD + ACTUAL_DWELL_KM) { first = Math.min(first, q); last = Math.max(last, q); }
+    }
+    actualByIdx.set(idx, { arrive: new Date(pts[first].time), depart: new Date(pts[last].time) });
+
+    // Roadbooks closer together than the match radius share a pass
+    const next = roadbookIdx[k + 1];
+    const gapKm = next != null ? (cumDistKm[next] ?? 0) - (cumDistKm[idx] ?? 0) : Infinity;
+    cursor = gapKm < 2 * ACTUAL_MATCH_KM ? best : leave + 1;
+  });
+}
+
+// -> { arrive, legH, deltaH, condPct } for a leg with both ends on the recording, else null.
+// `outsideCondH`: planned time Cond does not scale (fatigue, transfers).
+function actualLeg(a, b, baseH, movingH, outsideCondH = 0) {
+  const A = actualByIdx.get(a), B = actualByIdx.get(b);
+  if (!A || !B || B.arrive < A.depart) return null;
+  const legH = (B.arrive - A.depart) / 3600000;
+  return {
+    arrive: B.arrive,
+    legH,
+    deltaH: legH - movingH,
+    // Cond is a slowdown only; faster than the model is a case for calibration
+    condPct: baseH > 0 ? Math.max(0, Math.round(((legH - outsideCondH) / baseH - 1) * 100)) : null
+  };
+}
+
+// Day total cells: actual time and Δ over the day's matched legs
+function dayActualCells(D) {
+  const legs = D.legs.filter(L => L.actual);
+  if (!legs.length) return "<td></td><td></td><td></td>";
+  const legH = legs.reduce((s, L) => s + L.actual.legH, 0);
+  const deltaH = legs.reduce((s, L) => s + L.actual.deltaH, 0);
+  return `<td></td><td>${fmtHrs(legH)}</td>${deltaCell(deltaH)}`;
+}
+
+// Where the recording left Start (day reference for its clock times)
+function actualStart() {
+  return actualByIdx.get(roadbookIdx[0])?.depart || (actualTrack ? new Date(actualTrack.points[0].time) : null);
+}
+
+// Signed hours: "+0:12 h" / "−0:05 h"
+function fmtDeltaHrs(h) {
+  if (Math.round(Math.abs(h) * 60) === 0) return fmtHrs(0);
+  return (h < 0 ? "\u2212" : "+") + fmtHrs(Math.abs(h));
+}
+
+function deltaCell(h) {
+  if (h == null) return "<td></td>";
+  const cls = h > ACTUAL_FLAG_H ? "delta-late" : h < -ACTUAL_FLAG_H ? "delta-early" : "";
+  return `<td class="${cls}">${fmtDeltaHrs(h)}</td>`;
+}
+
+// Summary block: total deviation, worst legs, Cond% that matched the recording
+function actualSummaryHtml() {
+  if (!actualTrack) return "";
+  const legs = lastLegEntries.filter(L => L.actual);
+  if (!legs.length) {
+    return `<h3>Plan vs actual</h3><p class="subtle">${escapeHtml(actualTrack.name)}: no leg could be matched (the recording passes no two consecutive roadbooks).</p>`;
+  }
+  const planH = legs.reduce((s, L) => s + L.movingH, 0);
+  const actH = legs.reduce((s, L) => s + L.actual.legH, 0);
+  const worst = legs.slice().sort((x, y) => Math.abs(y.actual.deltaH) - Math.abs(x.actual.deltaH)).slice(0, 3);
+  const condChanges = legs.filter(L => L.actual.condPct != null && L.actual.condPct !== L.condPct);
+
+  const legName = L => escapeHtml(legLabels.get(L.key) || getDefaultLegLabel(L.a, L.b));
+  return `
+    <h3>Plan vs actual</h3>
+    <ul>
+      <li><strong>Recording:</strong> ${escapeHtml(actualTrack.name)} (${legs.length} of ${lastLegEntries.length} legs matched)</li>
+      <li><strong>Moving time:</strong> planned ${fmtHrs(planH)}, actual ${fmtHrs(actH)} (<span class="${actH - planH > ACTUAL_FLAG_H ? "delta-late" : actH - planH < -ACTUAL_FLAG_H ? "delta-early" : ""}">${fmtDeltaHrs(actH - planH)}</span>)</li>
+      <li><strong>Largest deviations:</strong>
+        ${worst.map(L => `${L.idx}. ${legName(L)} ${fmtDeltaHrs(L.actual.deltaH)} (Cond ${L.condPct} % → ${L.actual.condPct ?? "–"} %)`).join("; ")}</li>
+    </ul>
+    ${condChanges.length ? `<p><button type="button" id="applyActualCondBtn">Use recorded Cond % for ${condChanges.length} leg${condChanges.length === 1 ? "" : "s"}</button></p>` : ""}
+  `;
+}
+
+function bindActualSummary() {
+  document.getElementById("applyActualCondBtn")?.addEventListener("click", () => {
+    withHistory(() => {
+      for (const L of lastLegEntries) {
+        if (L.actual?.condPct != null) legCondPct.set(L.key, L.actual.condPct);
+      }
+    });
+    renderRoadbooksTable();
+  });
+}
+
+// ---------- Table render (grouped headers + editable fields) ----------
+function renderRoadbooksTable() {
+  matchActualTrack();
+  if (clearActualBtn) clearActualBtn.disabled = !actualTrack;
+  if (!trackLatLngs.length || roadbookIdx.length < 2) {
+    roadbooksEl.innerHTML = "";
+    // keep summary, profile and gradient consistent
+    updateSummaryCard();
+    renderElevationProfile();
+    renderGradientAnalysis();
+    return;
+  }
+
+  const legEntries = computeLegEntries();
+
+  // Save adjusted total for the Summary card
+  const totalAdjustedH = legEntries.reduce((s, L) => s + L.totalH, 0);
+  lastTotalAdjustedH = totalAdjustedH;
+  lastLegEntries = legEntries;
+  const hasEta = !!getPlanStart();
+  const days = groupLegsByDay(legEntries);
+  const multiDay = days.length > 1;
+  const hasActual = !!actualTrack;
+  const hasFatigue = !!fatigueChk?.checked;
+  const hasSupply = !!supplyChk?.checked;
+  const hasTransfer = legEntries.some(L => L.transferH > 0);
+  const nCols = 17 + (hasTransfer ? 1 : 0) + (hasFatigue ? 1 : 0) + (hasSupply ? 4 : 0) + (hasEta ? 4 : 0) + (hasActual ? 3 : 0);
+
+  // Carry-out amounts by source roadbook, and the legs of stretches over capacity
+  const carryOut = { water: new Map(), food: new Map() };
+  const shortLegs = { water: new Set(), food: new Set() };
+  if (hasSupply) {
+    for (const kind of ["water", "food"]) {
+      for (const S of supplyStretches(legEntries, kind)) {
+        carryOut[kind].set(S.from, S);
+        if (S.short) S.legs.forEach(L => shortLegs[kind].add(L.key));
+      }
+    }
+  }
+
+  let html = `
+    <p>Click the map to add waypoints; drag a waypoint to move it along the track; click it to remove it (Start/Finish are locked).
+      Double-click <em>Name</em>, edit <em>Stops</em>/<em>Cond</em>, and set <em>Critical</em> per leg.
+      Tick <em>Night</em> to end a day at that roadbook.</p>
+    <table>
+      <thead>
+        <tr>
+          <th rowspan="2">#</th>
+          <th rowspan="2">Name</th>
+          <th rowspan="2">Critical</th>
+          <th rowspan="2">Terrain</th>
+          <th rowspan="2">Night</th>
+          <th colspan="3">Leg</th>
+          <th colspan="3">Accumulated</th>
+          <th colspan="${6 + (hasTransfer ? 1 : 0) + (hasFatigue ? 1 : 0)}">Time</th>
+          ${hasSupply ? `<th colspan="4">Water &amp; food</th>` : ""}
+          ${hasEta ? `<th colspan="4">Clock</th>` : ""}
+          ${hasActual ? `<th colspan="3">Actual</th>` : ""}
+        </tr>
+        <tr>
+          <th>d</th><th>↑</th><th>↓</th>
+          <th>Σd</th><th>Σ↑</th><th>Σ↓</th>
+          <th>t</th><th>Stops</th><th>Cond</th>${hasTransfer ? `<th title="Ferry/bus/lift across segment gaps">Transfer</th>` : ""}${hasFatigue ? `<th title="Time added by fatigue">Fatigue</th>` : ""}<th>Total</th><th>Σt</th><th>Rem</th>
+          ${hasSupply ? `<th>Supply</th><th>Water</th><th>Food</th><th title="What to carry out of this roadbook to the next source">Carry</th>` : ""}
+          ${hasEta ? `<th>Arr</th><th>Dep</th><th>Sunset</th><th>Light</th>` : ""}
+          ${hasActual ? `<th>Arr</th><th>Leg</th><th>Δ</th>` : ""}
+        </tr>
+      </thead>
+      <tbody>
+  `;
+
+  let cumDistKmShown = 0, cumAscMShown = 0, cumDesMShown = 0, cumTimeAdjH = 0;
+
+  for (const L of legEntries) {
+    const D = days.find(dd => dd.day === L.day);
+    if (multiDay && D.legs[0] === L) {
+      html += `<tr class="day-row"><td colspan="${nCols}">Day ${D.day}: ${escapeHtml(getWaypointLabel(D.fromIdx))} \u2192 ${escapeHtml(getWaypointLabel(D.toIdx))}</td></tr>`;
+    }
+    // What to carry out of Start (leg rows show it for their end roadbook)
+    if (hasSupply && L === legEntries[0]) {
+      const before = 11 + 6 + (hasTransfer ? 1 : 0) + (hasFatigue ? 1 : 0);
+      html += `
+      <tr class="start-row">
+        <td>0</td><td>${escapeHtml(getWaypointLabel(L.a))}</td>${"<td></td>".repeat(before - 2)}
+        <td></td><td></td><td></td><td>${carryCellText(carryOut, L.a)}</td>
+        ${"<td></td>".repeat((hasEta ? 4 : 0) + (hasActual ? 3 : 0))}
+      </tr>`;
+    }
+
+    cumDistKmShown += L.distKm;
+    cumAscMShown   += L.ascM;
+    cumDesMShown   += L.desM;
+    cumTimeAdjH    += L.totalH;
+
+    const autoLabel    = getDefaultLegLabel(L.a, L.b);
+    const displayLabel = legLabels.get(L.key) || autoLabel;
+    const remainingH   = totalAdjustedH - cumTimeAdjH;
+    const isCritical   = legCritical.get(L.key) ?? false;
+
+    const darkCls = L.light && L.light.status !== 'day'
+      ? ` class="leg-${L.light.status}${isCritical ? " leg-critical-dark" : ""}"` : "";
+
+    html += `
+      <tr${darkCls}>
+        <td>${L.idx}</td>
+        <td class="leg-cell">
+          <span class="leg-name" contenteditable="true" data-legkey="${L.key}" spellcheck="false"
+                title="Double-click to edit">${escapeHtml(displayLabel)}</span>
+        </td>
+
+        <td>
+          <select class="wb-critical" data-legkey="${L.key}">
+            <option value="No"${isCritical ? "" : " selected"}>No</option>
+            <option value="Yes"${isCritical ? " selected" : ""}>Yes</option>
+          </select>
+        </td>
+        <td>
+          <select class="wb-terrain" data-legkey="${L.key}"${L.terrain ? ` style="border-left: 4px solid ${escapeHtml(terrainClasses[L.terrain].color)}"` : ""}>
+            <option value="">—</option>
+            ${Object.entries(terrainClasses).map(([k, t]) =>
+              `<option value="${escapeHtml(k)}"${k === L.terrain ? " selected" : ""}>${escapeHtml(t.label)}</option>`).join("")}
+          </select>
+        </td>
+        <td>
+          ${L.idx < legEntries.length
+            ? `<input type="checkbox" class="wb-night" data-idx="${L.b}" title="Overnight stop at ${escapeHtml(getWaypointLabel(L.b))}"${L.overnight ? " checked" : ""} />`
+            : ""}
+        </td>
+
+        <td${straightGapsTitle(L)}>${fmtKm(L.distKm)}</td>
+        <td>${Math.round(L.ascM)} m</td>
+        <td>${Math.round(L.desM)} m</td>
+
+        <td>${fmtKm(cumDistKmShown)}</td>
+        <td>${Math.round(cumAscMShown)} m</td>
+        <td>${Math.round(cumDesMShown)} m</td>
+
+        <td${L.terrain ? ` title="${escapeHtml(terrainClasses[L.terrain].label)}: ${fmtHrs(L.terrainH)} before Cond"` : ""}>${fmtHrs(L.baseH)}</td>
+        <td class="${L.suggested ? "stop-suggest" : ""}">
+          <span class="editable wb-stops${L.suggested ? " suggested" : ""}" contenteditable="true" data-legkey="${L.key}" spellcheck="false"
+                title="${L.suggested ? `Suggested: ${escapeHtml(L.suggested.reasons.join(" + "))}` : "Integer minutes"}">${escapeHtml(minutesToText(L.stopsMin))}</span>
+          ${L.suggested ? `<button type="button" class="wb-stop-accept" data-legkey="${L.key}" title="Accept suggested stop">✓</button><button type="button" class="wb-stop-dismiss" data-legkey="${L.key}" title="Dismiss (no stop)">✕</button>` : ""}
+        </td>
+        <td>
+          <span class="editable wb-cond" contenteditable="true" data-legkey="${L.key}" spellcheck="false"
+                title="Integer percent">${escapeHtml(percentToText(L.condPct))}</span>
+        </td>
+        ${hasTransfer ? `<td>${L.transferH ? `${L.gaps.filter(g => GAP_MODES[g.mode].transfer).map(g => GAP_MODES[g.mode].icon).join("")} ${fmtHrs(L.transferH)}` : ""}</td>` : ""}
+        ${hasFatigue ? `<td title="Moving ${fmtHrs(L.movingH - L.fatigueH)} fresh → ${fmtHrs(L.movingH)} fatigued">+${fmtHrs(L.fatigueH)}</td>` : ""}
+        <td>${fmtHrs(L.totalH)}</td>
+        <td>${fmtHrs(cumTimeAdjH)}</td>
+        <td>${fmtHrs(remainingH)}</td>
+        ${hasSupply ? `<td>${supplyTagsHtml(L.b)}</td>
+          <td class="${shortLegs.water.has(L.key) ? "supply-short" : ""}">${fmtWater(L.waterL)}</td>
+          <td class="${shortLegs.food.has(L.key) ? "supply-short" : ""}">${fmtKcal(L.kcal)}</td>
+          <td>${carryCellText(carryOut, L.b)}</td>` : ""}
+        ${hasEta ? `<td>${fmtClock(L.arrive)}</td><td>${fmtClock(L.depart)}</td>
+          <td title="${escapeHtml(daylightTitle(L.light))}">${fmtClock(L.light?.sunset)}</td>
+          <td>${daylightLabel(L.light, isCritical)}</td>` : ""}
+        ${hasActual ? `<td>${fmtClock(actualByIdx.get(L.b)?.arrive, actualStart())}</td>
+          <td title="${L.actual?.condPct != null ? `Cond ${L.actual.condPct} % would have matched` : ""}">${L.actual ? fmtHrs(L.actual.legH) : ""}</td>
+          ${deltaCell(L.actual?.deltaH)}` : ""}
+      </tr>
+    `;
+
+    if (multiDay && D.legs[D.legs.length - 1] === L) {
+      html += `
+      <tr class="day-total">
+        <td></td><td>Day ${D.day} total</td><td></td><td></td><td></td>
+        <td>${fmtKm(D.distKm)}</td><td>${Math.round(D.ascM)} m</td><td>${Math.round(D.desM)} m</td>
+        <td></td><td></td><td></td>
+        <td>${fmtHrs(D.baseH)}</td><td>${minutesToText(D.stopsMin)}</td><td></td>
+        ${hasTransfer ? `<td>${fmtHrs(D.legs.reduce((s, L) => s + L.transferH, 0))}</td>` : ""}
+        ${hasFatigue ? `<td>+${fmtHrs(D.legs.reduce((s, L) => s + L.fatigueH, 0))}</td>` : ""}
+        <td>${fmtHrs(D.totalH)}</td><td></td><td></td>
+        ${hasSupply ? `<td></td><td>${fmtWater(D.legs.reduce((s, L) => s + L.waterL, 0))}</td><td>${fmtKcal(D.legs.reduce((s, L) => s + L.kcal, 0))}</td><td></td>` : ""}
+        ${hasEta ? `<td>${fmtClock(D.arrive)}</td><td></td><td></td><td></td>` : ""}
+        ${hasActual ? dayActualCells(D) : ""}
+      </tr>`;
+    }
+  }
+
+  html += `</tbody></table>`;
+  roadbooksEl.innerHTML = html;
+
+  bindLegEditors();
+  bindTimeEditors();
+  bindCriticalEditors();
+  bindTerrainEditors();
+  bindOvernightEditors();
+  bindSupplyEditors();
+  refreshTrackEditOptions();
+  renderTerrainOverlay();
+  renderGapConnectors();
+  renderGradientAnalysis();
+  refreshMarkerTooltips();
+
+  // ✅ Refresh Summary after any table rebuild (so totals stay in sync)
+  updateSummaryCard();
+  renderElevationProfile();
+  scheduleAutosave();
+}
+
+
+
+// ---------- Editors ----------
+function bindLegEditors() {
+  const els = roadbooksEl.querySelectorAll('.leg-name');
+  els.forEach(el => {
+    el.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); el.blur(); } });
+    el.addEventListener('blur', () => {
+      const key = el.dataset.legkey;
+      const txt = el.textContent || "";
+      withHistory(() => setLegLabelByKey(key, txt));
+      renderRoadbooksTable();
+    });
+    el.addEventListener('focus', () => {
+      const r = document.createRange(); r.selectNodeContents(el);
+      const sel = window.getSelection(); sel.removeAllRanges(); sel.addRange(r);
+    });
+  });
+}
+
+function bindTimeEditors() {
+  // Stops (minutes)
+  roadbooksEl.querySelectorAll('.wb-stops').forEach(el => {
+    el.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); el.blur(); } });
+    const shown = el.textContent;
+    el.addEventListener('blur', () => {
+      const key = el.dataset.legkey;
+      // Leaving a suggestion untouched keeps it a suggestion
+      if (el.classList.contains('suggested') && el.textContent === shown) return;
+      const val = sanitizeInt(el.textContent, 0);
+      withHistory(() => legStopsMin.set(key, val));
+      el.textContent = minutesToText(val);
+      renderRoadbooksTable();
+    });
+    el.addEventListener('input', () => {
+      el.textContent = el.textContent.replace(/[^\d]/g, '');
+      const s = window.getSelection(); const r = document.createRange();
+      r.selectNodeContents(el); r.collapse(false); s.removeAllRanges(); s.addRange(r);
+    });
+  });
+
+  // Suggested stops: accept makes them manual, dismiss sets 0 min
+  roadbooksEl.querySelectorAll('.wb-stop-accept, .wb-stop-dismiss').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const key = btn.dataset.legkey;
+      const L = lastLegEntries.find(x => x.key === key);
+      const val = btn.classList.contains('wb-stop-accept') ? (L?.suggested?.min ?? 0) : 0;
+      withHistory(() => legStopsMin.set(key, val));
+      renderRoadbooksTable();
+    });
+  });
+
+  // Conditions (percent)
+  roadbooksEl.querySelectorAll('.wb-cond').forEach(el => {
+    el.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); el.blur(); } });
+    el.addEventListener('blur', () => {
+      const key = el.dataset.legkey;
+      const val = sanitizeInt(el.textContent, 0);
+      withHistory(() => legCondPct.set(key, val));
+      el.textContent = percentToText(val);
+      renderRoadbooksTable();
+    });
+    el.addEventListener('input', () => {
+      el.textContent = el.textContent.replace(/[^\d]/g, '');
+      const s = window.getSelection(); const r = document.createRange();
+      r.selectNodeContents(el); r.collapse(false); s.removeAllRanges(); s.addRange(r);
+    });
+  });
+}
+
+function bindCriticalEditors() {
+  roadbooksEl.querySelectorAll('.wb-critical').forEach(sel => {
+    sel.addEventListener('change', () => {
+      const key = sel.dataset.legkey;
+      const yes = (sel.value === 'Yes');
+      withHistory(() => legCritical.set(key, yes));
+      renderRoadbooksTable(); // row class, Light cell, warnings, safe start, profile shading
+    });
+  });
+}
+
+
+function bindOvernightEditors() {
+  roadbooksEl.querySelectorAll('.wb-night').forEach(chk => {
+    chk.addEventListener('change', () => withHistory(() => toggleOvernight(Number(chk.dataset.idx), chk.checked)));
+  });
+}
+
+
+// ---------- Elevation profile (SVG, linked to map) ----------
+const PROFILE_H = 220;
+const PROFILE_PAD = { l: 48, r: 12, t: 18, b: 26 };
+let profileCursor = null;     // L.circleMarker following the profile hover
+
+function renderElevationProfile() {
+  if (!profileEl) return;
+  if (!trackLatLngs.length || trackEleM.length !== trackLatLngs.length) {
+    profileEl.innerHTML = "";
+    hideProfileCursor();
+    return;
+  }
+
+  const totalKm = cumDistKm[cumDistKm.length - 1] || 0;
+  const W = Math.max(320, Math.round(profileEl.clientWidth || 1000));
+  const H = PROFILE_H, P = PROFILE_PAD;
+  const plotW = W - P.l - P.r, plotH = H - P.t - P.b;
+
+  let eMin = Infinity, eMax = -Infinity;
+  for (const e of trackEleM) if (e != null) { if (e < eMin) eMin = e; if (e > eMax) eMax = e; }
+  if (!Number.isFinite(eMin) || !(totalKm > 0)) { profileEl.innerHTML = "<p>No elevation data.</p>"; return; }
+  const ePad = Math.max(10, (eMax - eMin) * 0.08);
+  eMin -= ePad; eMax += ePad;
+
+  const x = km => P.l + (km / totalKm) * plotW;
+  const y = m  => P.t + (1 - (m - eMin) / (eMax - eMin)) * plotH;
+
+  // Thin the line to ~2 samples per pixel; the cumulative arrays stay full-res
+  const step = Math.max(1, Math.floor(trackEleM.length / (plotW * 2)));
+  const pts = [];
+  for (let i = 0; i < trackEleM.length; i += step) {
+    if (trackEleM[i] != null) pts.push(`${x(cumDistKm[i] ?? 0).toFixed(1)},${y(trackEleM[i]).toFixed(1)}`);
+  }
+  const lastI = trackEleM.length - 1;
+  if (trackEleM[lastI] != null) pts.push(`${x(totalKm).toFixed(1)},${y(trackEleM[lastI]).toFixed(1)}`);
+  const baseY = (P.t + plotH).toFixed(1);
+  const areaPts = `${P.l},${baseY} ${pts.join(' ')} ${x(totalKm).toFixed(1)},${baseY}`;
+
+  // Critical legs (shaded bands behind the line)
+  let critical = "";
+  for (let k = 1; k < roadbookIdx.length; k++) {
+    const a = roadbookIdx[k - 1], b = roadbookIdx[k];
+    if (!legCritical.get(getLegKey(a, b))) continue;
+    const xa = x(cumDistKm[a] ?? 0), xb = x(cumDistKm[b] ?? 0);
+    critical += `<rect class="pf-critical" x="${xa.toFixed(1)}" y="${P.t}" width="${Math.max(1, xb - xa).toFixed(1)}" height="${plotH}"><title>Critical: ${escapeHtml(legLabels.get(getLegKey(a, b)) || getDefaultLegLabel(a, b))}</title></rect>`;
+  }
+
+  // Axes: ~5 elevation gridlines, ~8 distance ticks
+  let grid = "";
+  const eStep = niceStep((eMax - eMin) / 5);
+  for (let e = Math.ceil(eMin / eStep) * eStep; e <= eMax; e += eStep) {
+    const yy = y(e).toFixed(1);
+    grid += `<line class="pf-grid" x1="${P.l}" x2="${W - P.r}" y1="${yy}" y2="${yy}"/>`;
+    grid += `<text class="pf-axis" x="${P.l - 6}" y="${yy}" text-anchor="end" dominant-baseline="middle">${Math.round(e)}</text>`;
+  }
+  const dStep = niceStep(totalKm / 8);
+  for (let d = 0; d <= totalKm + 1e-9; d += dStep) {
+    const xx = x(d).toFixed(1);
+    grid += `<line class="pf-tick" x1="${xx}" x2="${xx}" y1="${baseY}" y2="${P.t + plotH + 4}"/>`;
+    grid += `<text class="pf-axis" x="${xx}" y="${H - 8}" text-anchor="middle">${+d.toFixed(2)}</text>`;
+  }
+
+  // Roadbook markers (vertical lines + labels)
+  let rbs = "";
+  for (const i of roadbookIdx) {
+    const xx = x(cumDistKm[i] ?? 0).toFixed(1);
+    rbs += `<line class="pf-roadbook${roadbookOvernight.has(i) ? " pf-overnight" : ""}" x1="${xx}" x2="${xx}" y1="${P.t}" y2="${baseY}"/>`;
+    rbs += `<text class="pf-label" x="${xx}" y="${P.t - 5}" text-anchor="middle">${escapeHtml(getWaypointLabel(i))}</text>`;
+  }
+
+  profileEl.innerHTML = `
+    <svg viewBox="0 0 ${W} ${H}">
+      <g class="pf-plot">
+        <rect class="pf-hit" x="${P.l}" y="${P.t}" width="${plotW}" height="${plotH}"/>
+        ${critical}
+      </g>
+      ${grid}
+      <polygon class="pf-area" points="${areaPts}"/>
+      <polyline class="pf-line" points="${pts.join(' ')}"/>
+      ${rbs}
+      <text class="pf-axis" x="${P.l - 6}" y="${P.t - 5}" text-anchor="end">m</text>
+      <text class="pf-axis" x="${W - P.r}" y="${H - 8}" text-anchor="end">km</text>
+      <line class="pf-cursor" x1="0" x2="0" y1="${P.t}" y2="${baseY}" visibility="hidden"/>
+    </svg>
+  `;
+
+  const svg = profileEl.querySelector('svg');
+  const cursor = svg.querySelector('.pf-cursor');
+  // Hit area + critical shading: hover and click work across both, and the
+  // shading's <title> still shows (the drawing on top ignores the pointer)
+  const plot = svg.querySelector('.pf-plot');
+
+  // Map a pointer event to the nearest track index (via cumulative distance)
+  const eventToIndex = (e) => {
+    const r = svg.getBoundingClientRect();
+    const vx = r.width > 0 ? (e.clientX - r.left) * (W / r.width) : 0;
+    const km = clamp((vx - P.l) / plotW, 0, 1) * totalKm;
+    return { i: indexAtDistanceKm(km), vx: clamp(vx, P.l, P.l + plotW) };
+  };
+
+  plot.addEventListener('mousemove', (e) => {
+    const { i, vx } = eventToIndex(e);
+    cursor.setAttribute('x1', vx); cursor.setAttribute('x2', vx);
+    cursor.setAttribute('visibility', 'visible');
+    showProfileCursor(i);
+  });
+  plot.addEventListener('mouseleave', () => {
+    cursor.setAttribute('visibility', 'hidden');
+    hideProfileCursor();
+  });
+  plot.addEventListener('click', (e) => {
+    const { i } = eventToIndex(e);
+    withHistory(() => addRoadbookIndex(i));
+  });
+}
+
+function showProfileCursor(i) {
+  const ll = trackLatLngs[i];
+  if (!ll || !map) return;
+  if (!profileCursor) {
+    profileCursor = L.circleMarker(ll, { radius: 6, color: '#d9480f', weight: 2, fillColor: '#fff', fillOpacity: 1, interactive: false }).addTo(map);
+  } else {
+    profileCursor.setLatLng(ll);
+  }
+  if (profileReadoutEl) {
+    const ele = trackEleM[i];
+    profileReadoutEl.textContent = `${fmtKm(cumDistKm[i] ?? 0)} • ${ele != null ? Math.round(ele) + ' m' : '—'} • ${fmtHrs(cumTimeH[i] ?? 0)} (model time)`;
+  }
+}
+
+function hideProfileCursor() {
+  if (profileCursor) { profileCursor.remove(); profileCursor = null; }
+}
+
+// Binary search on cumDistKm for the point closest to a distance
+function indexAtDistanceKm(km) {
+  let lo = 0, hi = cumDistKm.length - 1;
+  if (hi < 0) return 0;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (cumDistKm[mid] < km) lo = mid + 1; else hi = mid;
+  }
+  if (lo > 0 && Math.abs(cumDistKm[lo - 1] - km) <= Math.abs(cumDistKm[lo] - km)) lo--;
+  return Math.min(lo, trackLatLngs.length - 1);
+}
+
+// 1/2/5 × 10^n step for axis ticks
+function niceStep(raw) {
+  if (!(raw > 0)) return 1;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const f = raw / mag;
+  return (f <= 1 ? 1 : f <= 2 ? 2 : f <= 5 ? 5 : 10) * mag;
+}
+
+// Redraw at the new width (debounced)
+let profileResizeTimer = null;
+window.addEventListener('resize', () => {
+  clearTimeout(profileResizeTimer);
+  profileResizeTimer = setTimeout(renderElevationProfile, 150);
+});
+
+// ---------- Gradient analysis ----------
+// Grades over a configurable window (separate from the pace models' fixed
+// PACE_GRADE_WIN_M), binned into bands. Lower bounds in percent; a step falls
+// in the last band whose `min` it reaches.
+const GRADE_BANDS = [
+  { min: -Infinity, label: "≤ −15 %",     color: "#1864ab" },
+  { min: -15,       label: "−15 to −8 %", color: "#339af0" },
+  { min: -8,        label: "−8 to −3 %",  color: "#74c0fc" },
+  { min: -3,        label: "−3 to 3 %",   color: "#8ce99a" },
+  { min: 3,         label: "3 to 8 %",    color: "#ffd43b" },
+  { min: 8,         label: "8 to 15 %",   color: "#ff922b" },
+  { min: 15,        label: "15 to 25 %",  color: "#f03e3e" },
+  { min: 25,        label: "≥ 25 %",      color: "#862e9c" }
+];
+const CLIMB_LIST_N = 5;        // steepest climbs / descents listed
+const CLIMB_MIN_GRADE = 0.03;  // a listed climb extends while the grade stays above this
+
+const gradientEl = document.getElementById("gradient");
+const mapColorBySel = document.getElementById("mapColorBy");
+let gradeCache = null;  // { key, grade, band, climbs, descents }; reset when the track changes
+let gradeLayer = null;  // map overlay when colouring by gradient
+let climbHighlight = null;
+
+for (const id of ["gradeWinM", "climbLenM", "mapColorBy"]) {
+  document.getElementById(id)?.addEventListener("change", () => {
+    if (!trackLatLngs.length) return;
+    renderTerrainOverlay();
+    renderGradientAnalysis();
+    scheduleAutosave();
+  });
+}
+
+function readGradeSettings() {
+  return {
+    gradeWinM: clamp(toPosNum(document.getElementById("gradeWinM")?.value, 100), 10, 2000),
+    climbLenM: clamp(toPosNum(document.getElementById("climbLenM")?.value, 500), 50, 20000),
+    mapColorBy: mapColorBySel?.value === "grade" ? "grade" : "terrain"
+  };
+}
+
+function gradeBandIndex(grade) {
+  const pct = grade * 100;
+  let k = 0;
+  while (k + 1 < GRADE_BANDS.length && pct >= GRADE_BANDS[k + 1].min) k++;
+  return k;
+}
+
+// Grades, bands and steepest sections for the current track + settings (cached)
+function gradeAnalysis() {
+  const { gradeWinM, climbLenM } = readGradeSettings();
+  const key = `${gradeWinM}|${climbLenM}|${trackLatLngs.length}`;
+  if (gradeCache?.key === key) return gradeCache;
+
+  const stepKm = cumDistKm.map((d, i) => (i ? d - cumDistKm[i - 1] : 0));
+  const grade = stepGrades(trackEleM, trackBreakIdx, stepKm, gradeWinM);
+  const band = grade.map(gradeBandIndex);
+  gradeCache = {
+    key, grade, band,
+    climbs:   steepestSections(climbLenM, +1, grade),
+    descents: steepestSections(climbLenM, -1, grade)
+  };
+  return gradeCache;
+}
+
+// Steepest climbs (sign +1) or descents (−1): the steepest stretch of `lenM`
+// within a segment, widened to the whole climb around it (while `grade` stays
+// beyond CLIMB_MIN_GRADE). Climbs don't overlap.
+// -> [{ a, b, grade (whole climb), maxGrade (steepest lenM), lenKm, gainM }]
+function steepestSections(lenM, sign, grade) {
+  const n = trackLatLngs.length;
+  const breaks = new Set(trackBreakIdx);
+  const segStart = new Int32Array(n);
+  for (let i = 1; i < n; i++) segStart[i] = breaks.has(i) ? i : segStart[i - 1];
+
+  const cands = [];
+  let hi = 0;
+  for (let lo = 0; lo < n; lo++) {
+    if (hi < lo) hi = lo;
+    while (hi + 1 < n && !breaks.has(hi + 1) && (cumDistKm[hi] - cumDistKm[lo]) * 1000 < lenM) hi++;
+    const runM = (cumDistKm[hi] - cumDistKm[lo]) * 1000;
+    if (runM < lenM || segStart[hi] !== segStart[lo]) continue;
+    const e1 = trackEleM[lo], e2 = trackEleM[hi];
+    if (e1 == null || e2 == null) continue;
+    const g = (e2 - e1) / runM;
+    if (g * sign > 0) cands.push({ a: lo, b: hi, grade: g });
+  }
+  cands.sort((x, y) => (y.grade - x.grade) * sign);
+
+  const section = (a, b, maxGrade) => {
+    const lenKm = cumDistKm[b] - cumDistKm[a];
+    const gainM = trackEleM[b] - trackEleM[a];
+    return { a, b, grade: gainM / (lenKm * 1000), maxGrade, lenKm, gainM };
+  };
+  const picked = [];
+  for (const c of cands) {
+    if (c.grade * sign < CLIMB_MIN_GRADE) break;
+    if (picked.some(p => c.a < p.b && c.b > p.a)) continue;
+    let a = c.a, b = c.b;
+    while (a > segStart[a] && grade[a] * sign >= CLIMB_MIN_GRADE && trackEleM[a - 1] != null) a--;
+    while (b + 1 < n && !breaks.has(b + 1) && grade[b + 1] * sign >= CLIMB_MIN_GRADE && trackEleM[b + 1] != null) b++;
+    // A stretch near a listed climb (split by an easing shorter than lenM / 2) joins it
+    const gapKm = p => Math.max(cumDistKm[a] - cumDistKm[p.b], cumDistKm[p.a] - cumDistKm[b]);
+    const k = picked.findIndex(p => segStart[p.a] === segStart[a] && gapKm(p) * 1000 <= lenM / 2);
+    if (k >= 0) {
+      picked[k] = section(Math.min(a, picked[k].a), Math.max(b, picked[k].b), picked[k].maxGrade);
+      continue;
+    }
+    picked.push(section(a, b, c.grade));
+    if (picked.length === CLIMB_LIST_N) break;
+  }
+  return picked;
+}
+
+// Distance (km) per band over points a..b
+function bandDistances(a, b, band) {
+  const km = new Array(GRADE_BANDS.length).fill(0);
+  for (let i = a + 1; i <= b; i++) km[band[i]] += (cumDistKm[i] ?? 0) - (cumDistKm[i - 1] ?? 0);
+  return km;
+}
+
+function renderGradientAnalysis() {
+  renderGradeOverlay();
+  if (!gradientEl) return;
+  if (!trackLatLngs.length || trackEleM.length !== trackLatLngs.length || trackEleM.every(e => e == null)) {
+    gradientEl.innerHTML = trackLatLngs.length ? "<p>No elevation data.</p>" : "";
+    return;
+  }
+  const G = gradeAnalysis();
+  const overall = bandDistances(0, trackLatLngs.length - 1, G.band);
+  const maxKm = Math.max(...overall) || 1;
+  const totalKm = cumDistKm[cumDistKm.length - 1] || 0;
+
+  const bars = GRADE_BANDS.map((B, k) => `
+      <span>${escapeHtml(B.label)}</span>
+      <div class="grade-bar" style="width: ${(100 * overall[k] / maxKm).toFixed(1)}%; background: ${B.color}"></div>
+      <span>${fmtKm(overall[k])} (${totalKm > 0 ? Math.round(100 * overall[k] / totalKm) : 0} %)</span>`).join("");
+
+  const legRows = lastLegEntries.map(L => {
+    const km = bandDistances(L.a, L.b, G.band);
+    return `<tr><td>${L.idx}</td><td>${escapeHtml(legLabels.get(L.key) || getDefaultLegLabel(L.a, L.b))}</td>
+      ${km.map(v => `<td>${v >= 0.05 ? fmtKm(v) : ""}</td>`).join("")}</tr>`;
+  }).join("");
+
+  gradientEl.innerHTML = `
+    <h3>Distance per grade band</h3>
+    <div class="grade-bars">${bars}</div>
+    ${legRows ? `
+    <h3>Per leg</h3>
+    <div class="table-wrap"><table>
+      <thead><tr><th>#</th><th>Leg</th>${GRADE_BANDS.map(B =>
+        `<th><span class="grade-chip" style="background: ${B.color}"></span>${escapeHtml(B.label)}</th>`).join("")}</tr></thead>
+      <tbody>${legRows}</tbody>
+    </table></div>` : ""}
+    ${climbTableHtml("Steepest climbs", G.climbs)}
+    ${climbTableHtml("Steepest descents", G.descents)}
+  `;
+
+  gradientEl.querySelectorAll("tr.climb-row").forEach(tr => {
+    tr.addEventListener("click", () => zoomToSection(+tr.dataset.a, +tr.dataset.b));
+  });
+}
+
+function climbTableHtml(title, list) {
+  if (!list.length) return "";
+  const { climbLenM } = readGradeSettings();
+  return `
+    <h3>${title} <span class="subtle">(click to show on the map)</span></h3>
+    <div class="table-wrap"><table>
+      <thead><tr><th>#</th><th>Where</th><th>From</th><th>To</th><th>Length</th><th>Elevation</th><th>Avg grade</th><th>Steepest ${climbLenM} m</th></tr></thead>
+      <tbody>${list.map((c, k) => `
+        <tr class="climb-row" data-a="${c.a}" data-b="${c.b}">
+          <td>${k + 1}</td><td>${escapeHtml(sectionLocation(c.a))}</td>
+          <td>km ${(cumDistKm[c.a] ?? 0).toFixed(1)}</td><td>km ${(cumDistKm[c.b] ?? 0).toFixed(1)}</td>
+          <td>${fmtKm(c.lenKm)}</td><td>${c.gainM > 0 ? "+" : ""}${Math.round(c.gainM)} m</td>
+          <td>${(c.grade * 100).toFixed(1)} %</td><td>${(c.maxGrade * 100).toFixed(1)} %</td>
+        </tr>`).join("")}</tbody>
+    </table></div>`;
+}
+
+// Name of the leg a point lies on (or the track when there are no legs)
+function sectionLocation(i) {
+  const L = lastLegEntries.find(x => i >= x.a && i < x.b);
+  return L ? `${L.idx}. ${legLabels.get(L.key) || getDefaultLegLabel(L.a, L.b)}` : "Track";
+}
+
+function zoomToSection(a, b) {
+  if (!map) return;
+  const pts = trackLatLngs.slice(a, b + 1);
+  if (climbHighlight) climbHighlight.remove();
+  climbHighlight = L.polyline(pts, { color: "#000", weight: 8, opacity: 0.35, interactive: false }).addTo(map);
+  map.fitBounds(climbHighlight.getBounds(), { padding: [40, 40] });
+  document.getElementById("mapCard")?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+// Whole track coloured by band (split into runs of equal band and at breaks)
+function renderGradeOverlay() {
+  if (!map) return;
+  if (gradeLayer) gradeLayer.remove();
+  gradeLayer = null;
+  if (climbHighlight) { climbHighlight.remove(); climbHighlight = null; }
+  if (mapColorBySel?.value !== "grade" || !trackLatLngs.length || trackEleM.length !== trackLatLngs.length) return;
+
+  const { band } = gradeAnalysis();
+  const breaks = new Set(trackBreakIdx);
+  gradeLayer = L.layerGroup();
+  let part = [trackLatLngs[0]], cur = band[1] ?? 0;
+  const flush = () => {
+    if (part.length > 1) gradeLayer.addLayer(L.polyline(part, { color: GRADE_BANDS[cur].color, weight: 5, opacity: 0.9, interactive: false }));
+  };
+  for (let i = 1; i < trackLatLngs.length; i++) {
+    if (breaks.has(i)) { flush(); part = [trackLatLngs[i]]; cur = band[i + 1] ?? cur; continue; }
+    if (band[i] !== cur) { flush(); part = [trackLatLngs[i - 1]]; cur = band[i]; }
+    part.push(trackLatLngs[i]);
+  }
+  flush();
+  gradeLayer.addTo(map);
+}
+
+
+// ---------- Save / Load / Export CSV ----------
+// `opts.embedTrack` overrides the "Embed track" checkbox (library/autosave always embed)
+function serializePlan(opts = {}) {
+  const legs = [];
+  let cumDistKmShown = 0, cumAscMShown = 0, cumDesMShown = 0, cumTimeAdjH = 0;
+
+  for (const L of computeLegEntries()) {
+    cumDistKmShown += L.distKm;
+    cumAscMShown   += L.ascM;
+    cumDesMShown   += L.desM;
+    cumTimeAdjH    += L.totalH;
+
+    legs.push({
+      idx: L.idx, a: L.a, b: L.b, key: L.key,
+      name: legLabels.get(L.key) || getDefaultLegLabel(L.a, L.b),
+      distKm: L.distKm, ascM: L.ascM, desM: L.desM, baseH: L.baseH,
+      stopsMin: L.stopsMin, condPct: L.condPct, transferH: L.transferH, totalH: L.totalH,
+      cumDistKm: cumDistKmShown, cumAscM: cumAscMShown, cumDesM: cumDesMShown, cumTimeAdjH,
+      critical: !!(legCritical.get(L.key)),
+      terrain: L.terrain ? terrainClasses[L.terrain].label : null,
+      supply: roadbookSupply.get(L.b) || [], waterL: +L.waterL.toFixed(2), kcal: Math.round(L.kcal),
+      day: L.day,
+      arrive: L.arrive ? L.arrive.toISOString() : null,
+      depart: L.depart ? L.depart.toISOString() : null,
+      light: L.light ? L.light.status : null
+    });
+  }
+
+  const settings = {
+    ...readPaceSettings(),
+    ...readFatigueSettings(),
+    ...readRestSettings(),
+    ...readGradeSettings(),
+    ...readSupplySettings(),
+    ...readDemSettings(),
+    spacingM: parseFloat(document.getElementById("spacingM")?.value) || 5,
+    smoothWinM: parseFloat(document.getElementById("smoothWinM")?.value) || 35,
+    elevDeadbandM: parseFloat(document.getElementById("elevDeadbandM")?.value) || 2,
+    startTime: startTimeInput?.value || "",
+    activity: activitySel?.value || "hike"
+  };
+
+  // Position of every roadbook, so plans survive re-processing with other settings
+  const roadbooks = roadbookIdx.map(i => ({
+    idx: i,
+    lat: trackLatLngs[i][0],
+    lon: trackLatLngs[i][1],
+    distKm: cumDistKm[i] ?? 0,
+    label: getWaypointLabel(i)
+  }));
+
+  const embed = opts.embedTrack ?? document.getElementById("embedTrack")?.checked ?? true;
+
+  return {
+    version: PLAN_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    signature: trackSignature(),
+    settings,
+    track: embed ? encodeTrack() : null,
+    roadbooks,
+    roadbookIdx,
+    roadbookLabels: Object.fromEntries(roadbookLabels),
+    legLabels: Object.fromEntries(legLabels),
+    legStopsMin: Object.fromEntries(legStopsMin),
+    legCondPct: Object.fromEntries(legCondPct),
+    legCritical: Object.fromEntries(legCritical),
+    legTerrain: Object.fromEntries([...legTerrain].filter(([, k]) => terrainClasses[k])), // no dangling keys
+    terrainClasses: Object.fromEntries([...new Set(legTerrain.values())]
+      .filter(k => terrainClasses[k]).map(k => [k, terrainClasses[k]])),
+    overnightIdx: [...roadbookOvernight].sort((a, b) => a - b),
+    roadbookSupply: Object.fromEntries(roadbookSupply),
+    gaps: serializeGapModes(),
+    legs
+  };
+}
+
+
+
+// Expects a plan that went through preparePlan() (current schema, validated).
+// `opts.quiet` skips the "settings restored" notice (session autosave).
+async function restorePlanFromJSON(plan, opts = {}) {
+  // Saved settings go back into the form first: the track is (re)built with them
+  const changed = applySettingsToForm(plan.settings);
+  const processingChanged = changed.some(c => PROCESSING_SETTINGS.includes(c.key));
+  const hasFile = !!document.getElementById("gpxFile")?.files?.length;
+
+  if (plan.track) {
+    if (!loadEmbeddedTrack(plan.track)) {
+      alert("The track embedded in this plan could not be decoded.");
+      return;
+    }
+  } else if (!trackLatLngs.length || (processingChanged && hasFile)) {
+    // Re-run the selected route file with the plan's resample/smooth settings
+    if (!hasFile) {
+      alert("This plan has no embedded track. Select its route file first, then load the plan.");
+      return;
+    }
+    if (!(await processRouteFile({ importRoadbooks: false }))) return;
+  } else if (changed.length) {
+    accumulateTrack(readPaceSettings());
+  }
+  // Before re-anchoring: straight-line gaps shift the saved distances
+  restoreGapModes(plan.gaps);
+  if (gapModes.size) accumulateTrack(readPaceSettings());
+
+  roadbookIdx = Array.isArray(plan.roadbookIdx) ? plan.roadbookIdx.slice() : roadbookIdx;
+  roadbookLabels = new Map(Object.entries(plan.roadbookLabels || {}).map(([k,v]) => [Number(k), v]));
+  legLabels      = new Map(Object.entries(plan.legLabels || {}));
+  legStopsMin    = new Map(Object.entries(plan.legStopsMin || {}));
+  legCondPct     = new Map(Object.entries(plan.legCondPct || {}));
+
+  legCritical = new Map(Object.entries(plan.legCritical || {}).map(([k,v]) => [k, !!v]));
+  legTerrain  = new Map(Object.entries(plan.legTerrain || {}));
+  adoptTerrainClasses(plan.terrainClasses);
+  roadbookOvernight = new Set((plan.overnightIdx || []).map(Number));
+  roadbookSupply = new Map(Object.entries(plan.roadbookSupply || {}).map(([k, v]) => [Number(k), v.slice()]));
+
+  // Indices are only valid for the exact point list they were saved with.
+  // Otherwise re-anchor each roadbook by distance (checked against lat/lon).
+  const sig = trackSignature();
+  const sameTrack = !!plan.track || (sig && plan.signature && sig.n === plan.signature.n &&
+    samePoint(sig.first, plan.signature.first) && samePoint(sig.last, plan.signature.last));
+  if (!sameTrack) {
+    if (Array.isArray(plan.roadbooks) && plan.roadbooks.length) {
+      const lastIdx = trackLatLngs.length - 1;
+      const idxMap = new Map(plan.roadbooks.map((rb, k) => {
+        if (k === 0) return [rb.idx, 0];
+        if (k === plan.roadbooks.length - 1) return [rb.idx, lastIdx];
+        const i = anchorRoadbookIndex(rb);
+        return [rb.idx, i === 0 || i === lastIdx ? null : i]; // Start/Finish keep their places
+      }));
+      const lost = plan.roadbooks.filter(rb => idxMap.get(rb.idx) == null).map(rb => rb.idx);
+      lost.push(...remapRoadbookState(i => idxMap.has(i) ? idxMap.get(i) : null));
+      if (lost.length) {
+        const names = lost.map(i => plan.roadbooks.find(rb => rb.idx === i)?.label || `#${i}`);
+        alert("These roadbooks could not be placed on this track and were left out:\n• " + names.join("\n• "));
+      }
+    } else {
+      alert("Heads-up: this saved plan may belong to a different GPX or settings.");
+    }
+  }
+
+  rebuildMarkers();
+  clearHistory();
+  renderRoadbooksTable();
+
+  if (changed.length && !opts.quiet) {
+    alert("Settings restored from the plan:\n" +
+      changed.map(c => `• ${c.label}: ${c.from || "—"} → ${c.to || "—"}`).join("\n"));
+  }
+}
+
+function samePoint(p, q) {
+  return Array.isArray(p) && Array.isArray(q) && Math.abs(p[0] - q[0]) < 1e-6 && Math.abs(p[1] - q[1]) < 1e-6;
+}
+
+// Track point for a saved { distKm, lat, lon }: the point at that distance,
+// unless it is far from the saved position (track changed) — then the
+// nearest point within ±1 km of that distance, then anywhere on the track.
+// null when the roadbook has neither (e.g. a v1 plan's roadbook without a leg).
+const ANCHOR_TOL_KM = 0.05;
+function anchorRoadbookIndex({ distKm, lat, lon }) {
+  const hasPos = Number.isFinite(lat) && Number.isFinite(lon);
+  if (!hasPos && !Number.isFinite(distKm)) return null;
+  let i = Number.isFinite(distKm) ? indexAtDistanceKm(distKm) : 0;
+  if (!hasPos) return i;
+
+  const distTo = j => haversineKm(lat, lon, trackLatLngs[j][0], trackLatLngs[j][1]);
+  if (distTo(i) <= ANCHOR_TOL_KM) return i;
+
+  let best = i, bestD = distTo(i);
+  if (Number.isFinite(distKm)) {
+    for (let j = indexAtDistanceKm(distKm - 1); j <= indexAtDistanceKm(distKm + 1); j++) {
+      const d = distTo(j);
+      if (d < bestD) { bestD = d; best = j; }
+    }
+  }
+  return bestD <= ANCHOR_TOL_KM ? best : nearestIndexOnTrack([lat, lon], trackLatLngs);
+}
+
+// ---------- Plan schema (versioning, migration, validation) ----------
+const PLAN_SCHEMA_VERSION = 4;
+
+// PLAN_MIGRATIONS[n] upgrades a version-n plan to version n+1. When the
+// format changes: bump PLAN_SCHEMA_VERSION and add the step here; never
+// edit an old step, files in the wild depend on it.
+const PLAN_MIGRATIONS = {
+  // v1 → v2: explicit `track` slot and per-roadbook positions (`roadbooks`)
+  // for re-anchoring. v1 only knows the endpoints (signature) and the
+  // cumulative distance at each leg end.
+  1(plan) {
+    const idx = Array.isArray(plan.roadbookIdx) ? plan.roadbookIdx : [];
+    const distAt = new Map([[idx[0], 0]]);
+    for (const L of plan.legs || []) if (Number.isFinite(L?.cumDistKm)) distAt.set(L.b, L.cumDistKm);
+    const last = idx[idx.length - 1];
+    const roadbooks = idx.map(i => {
+      const pos = i === idx[0] ? plan.signature?.first : i === last ? plan.signature?.last : null;
+      return {
+        idx: i,
+        lat: pos ? pos[0] : null,
+        lon: pos ? pos[1] : null,
+        distKm: distAt.has(i) ? distAt.get(i) : null,
+        label: plan.roadbookLabels?.[i] ?? ""
+      };
+    });
+    return { ...plan, version: 2, track: null, roadbooks };
+  },
+  // v2 → v3: selectable pace models; earlier plans were all timed with the classic one
+  2(plan) {
+    return { ...plan, version: 3, settings: { paceModel: "classic", ...plan.settings } };
+  },
+  // v3 → v4: gradient downhill curve; earlier plans used the single factor
+  3(plan) {
+    return { ...plan, version: 4, settings: { downhillMode: "factor", ...plan.settings } };
+  }
+};
+
+// Upgrades `raw` to the current schema and validates it.
+// -> { plan, problems: [] } — problems are human-readable, one per field.
+function preparePlan(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { plan: null, problems: ["not a plan object"] };
+  }
+  const version = raw.version ?? 1; // the first releases wrote no version at all
+  if (!Number.isInteger(version) || version < 1) {
+    return { plan: null, problems: [`version: expected a positive integer, got ${JSON.stringify(raw.version)}`] };
+  }
+  if (version > PLAN_SCHEMA_VERSION) {
+    return { plan: null, problems: [`version ${version} was written by a newer GPX Planner (this one reads up to ${PLAN_SCHEMA_VERSION})`] };
+  }
+
+  let plan = { ...raw, version };
+  for (let v = version; v < PLAN_SCHEMA_VERSION; v++) plan = PLAN_MIGRATIONS[v](plan);
+  return { plan, problems: validatePlan(plan) };
+}
+
+function validatePlan(plan) {
+  const problems = [];
+  const isObj = v => v && typeof v === "object" && !Array.isArray(v);
+  const isIdx = v => Number.isInteger(v) && v >= 0;
+
+  if (!Array.isArray(plan.roadbookIdx)) problems.push("roadbookIdx: missing or not an array");
+  else if (!plan.roadbookIdx.every(isIdx)) problems.push("roadbookIdx: every entry must be a non-negative integer");
+  else if (plan.roadbookIdx.length < 2) problems.push("roadbookIdx: needs at least Start and Finish");
+
+  for (const field of ["roadbookLabels", "legLabels", "legStopsMin", "legCondPct", "legCritical", "legTerrain", "terrainClasses"]) {
+    if (plan[field] != null && !isObj(plan[field])) problems.push(`${field}: expected an object`);
+  }
+  for (const field of ["legStopsMin", "legCondPct"]) {
+    if (!isObj(plan[field])) continue;
+    const bad = Object.entries(plan[field]).filter(([, v]) => !(Number(v) >= 0)).map(([k]) => k);
+    if (bad.length) problems.push(`${field}: non-numeric or negative value for leg ${bad.join(", ")}`);
+  }
+  if (isObj(plan.terrainClasses)) {
+    const bad = Object.entries(plan.terrainClasses)
+      .filter(([, t]) => !isObj(t) || typeof t.label !== "string" || !isObj(t.speed) || !Object.values(t.speed).every(v => Number(v) > 0))
+      .map(([k]) => k);
+    if (bad.length) problems.push(`terrainClasses: needs a label and positive speed factors (${bad.join(", ")})`);
+  }
+  if (plan.overnightIdx != null && !(Array.isArray(plan.overnightIdx) && plan.overnightIdx.every(isIdx))) {
+    problems.push("overnightIdx: expected an array of point indices");
+  }
+  if (plan.roadbookSupply != null && !(isObj(plan.roadbookSupply) && Object.entries(plan.roadbookSupply).every(([k, v]) =>
+      isIdx(Number(k)) && Array.isArray(v) && v.every(t => SUPPLY_TAGS[t])))) {
+    problems.push(`roadbookSupply: expected point index -> list of ${Object.keys(SUPPLY_TAGS).join("/")}`);
+  }
+  if (plan.gaps != null && !(Array.isArray(plan.gaps) && plan.gaps.every(g => isObj(g) && Number.isInteger(g.seg) && g.seg > 0 &&
+      GAP_MODES[g.mode] && (g.transferMin == null || Number(g.transferMin) >= 0)))) {
+    problems.push(`gaps: expected a list of { seg, mode: ${Object.keys(GAP_MODES).join("/")}, transferMin }`);
+  }
+
+  if (!isObj(plan.settings)) problems.push("settings: missing or not an object");
+  else {
+    for (const key of Object.keys(SETTINGS_FIELDS)) {
+      const f = SETTINGS_FIELDS[key], v = plan.settings[key];
+      if (v == null || v === "") continue; // optional; the form keeps its value
+      if (f.type === "number" && !(Number(v) > 0 || (f.allowZero && Number(v) === 0))) problems.push(`settings.${key}: expected a ${f.allowZero ? "non-negative" : "positive"} number, got ${JSON.stringify(v)}`);
+      if (f.type === "datetime" && !Number.isFinite(new Date(v).getTime())) problems.push(`settings.${key}: not a valid date/time (${JSON.stringify(v)})`);
+      if (f.type === "time" && !/^([01]\d|2[0-3]):[0-5]\d$/.test(v)) problems.push(`settings.${key}: expected HH:MM, got ${JSON.stringify(v)}`);
+      if (f.type === "checkbox" && typeof v !== "boolean") problems.push(`settings.${key}: expected true or false, got ${JSON.stringify(v)}`);
+      if (f.type === "curve" && !toDownhillCurve(v)) problems.push(`settings.${key}: expected [descent %, time ×] points, got ${JSON.stringify(v)}`);
+    }
+  }
+
+  if (plan.signature != null && !isObj(plan.signature)) problems.push("signature: expected an object");
+  if (plan.track != null) {
+    if (!isObj(plan.track)) problems.push("track: expected an object or null");
+    else if (plan.track.encoding !== "polyline6") problems.push(`track.encoding: unsupported "${plan.track.encoding}"`);
+    else if (typeof plan.track.points !== "string") problems.push("track.points: missing encoded points");
+  }
+  if (!Array.isArray(plan.roadbooks)) problems.push("roadbooks: missing or not an array");
+  else if (!plan.roadbooks.every(rb => isObj(rb) && isIdx(rb.idx))) problems.push("roadbooks: every entry needs an integer idx");
+
+  if (!plan.track && plan.signature == null && !problems.length) {
+    problems.push("signature/track: the plan has neither an embedded track nor a track signature");
+  }
+  return problems;
+}
+
+// plan.settings key -> form control. `processing` settings change the point
+// list itself (resample/smooth/deadband) and need the route re-processed.
+const SETTINGS_FIELDS = {
+  activity:       { id: "activityType",   label: "Activity",            type: "select" },
+  paceModel:      { id: "paceModel",      label: "Pace model",          type: "select" },
+  ...Object.fromEntries(Object.values(PACE_MODELS).flatMap(m => Object.entries(m.params).map(
+    ([key, f]) => [key, { id: f.id, label: f.label, type: f.type || "number", allowZero: f.allowZero }]))),
+  spacingM:       { id: "spacingM",       label: "Resample",            type: "number", processing: true },
+  smoothWinM:     { id: "smoothWinM",     label: "Smooth window",       type: "number", processing: true },
+  elevDeadbandM:  { id: "elevDeadbandM",  label: "Elevation deadband",  type: "number", processing: true, allowZero: true },
+  eleSource:      { id: "eleSource",      label: "Elevation source",    type: "select", processing: true },
+  demBlendPct:    { id: "demBlendPct",    label: "DEM weight",          type: "number", processing: true, allowZero: true },
+  startTime:      { id: "startTime",      label: "Start time",          type: "datetime" },
+  fatigueOn:      { id: "fatigueOn",      label: "Fatigue model",       type: "checkbox" },
+  fatigueOnsetH:  { id: "fatigueOnsetH",  label: "Fatigue onset",       type: "number", allowZero: true },
+  fatigueRatePct: { id: "fatigueRatePct", label: "Fatigue rate",        type: "number", allowZero: true },
+  fatigueAscentM: { id: "fatigueAscentM", label: "Ascent per effort hour", type: "number" },
+  restOn:         { id: "restOn",         label: "Suggest rest stops",  type: "checkbox" },
+  restEveryMin:   { id: "restEveryMin",   label: "Short break every",   type: "number" },
+  restBreakMin:   { id: "restBreakMin",   label: "Short break",         type: "number", allowZero: true },
+  lunchMin:       { id: "lunchMin",       label: "Lunch break",         type: "number", allowZero: true },
+  lunchAt:        { id: "lunchAt",        label: "Lunch around",        type: "time" },
+  lunchAfterH:    { id: "lunchAfterH",    label: "Lunch after",         type: "number", allowZero: true },
+  gradeWinM:      { id: "gradeWinM",      label: "Gradient window",     type: "number" },
+  climbLenM:      { id: "climbLenM",      label: "Sustained over",      type: "number" },
+  mapColorBy:     { id: "mapColorBy",     label: "Colour the map by",   type: "select" },
+  supplyOn:       { id: "supplyOn",       label: "Water & food planning", type: "checkbox" },
+  waterLph:       { id: "waterLph",       label: "Water per hour",      type: "number", allowZero: true },
+  waterL100m:     { id: "waterL100m",     label: "Water per 100 m ascent", type: "number", allowZero: true },
+  kcalPerH:       { id: "kcalPerH",       label: "Food per hour",       type: "number", allowZero: true },
+  kcal100m:       { id: "kcal100m",       label: "Food per 100 m ascent", type: "number", allowZero: true },
+  carryWaterL:    { id: "carryWaterL",    label: "Water capacity",      type: "number" },
+  carryKcal:      { id: "carryKcal",      label: "Food capacity",       type: "number" }
+};
+const PROCESSING_SETTINGS = Object.keys(SETTINGS_FIELDS).filter(k => SETTINGS_FIELDS[k].processing);
+
+// Writes plan settings into the form (without firing preset changes).
+// -> [{ key, label, from, to }] for every field whose value changed.
+function applySettingsToForm(settings) {
+  const changed = [];
+  if (!settings) return changed;
+  for (const [key, f] of Object.entries(SETTINGS_FIELDS)) {
+    const v = settings[key];
+    const el = document.getElementById(f.id);
+    if (!el || v == null || (v === "" && f.type !== "datetime")) continue;
+    const curve = f.type === "curve" ? toDownhillCurve(v) : null;
+    if (f.type === "curve" && !curve) continue;
+    const to = curve ? formatDownhillCurve(curve) : String(v);
+    const from = f.type === "checkbox" ? String(el.checked) : el.value;
+    const same = f.type === "number" ? parseFloat(from) === parseFloat(to) : from === to;
+    if (same) continue;
+    if (f.type === "select" && ![...el.options].some(o => o.value === to)) continue;
+    changed.push({ key, label: f.label, from, to });
+    if (f.type === "checkbox") el.checked = to === "true";
+    else el.value = to;
+  }
+  if (changed.length) {
+    syncPaceModelOptions(activitySel?.value || "hike");
+    renderDownhillCurveEditor();
+    showFatigueFields();
+    showRestFields();
+    showSupplyFields();
+    showDemFields();
+  }
+  return changed;
+}
+
+// ---------- Embedded track (compressed) ----------
+// Coordinates as a polyline6 string (1e-6° deltas, Google polyline varints),
+// elevations as millimetre deltas in the same encoding (coarser rounding
+// flips tiny descents to flat and shifts the downhill-factor timing).
+// Comes to about 5 bytes per point instead of ~40 as plain JSON arrays.
+function encodeTrack() {
+  if (!trackLatLngs.length) return null;
+  const coords = [];
+  for (const [lat, lon] of trackLatLngs) coords.push(Math.round(lat * 1e6), Math.round(lon * 1e6));
+  const hasEle = trackEleM.length === trackLatLngs.length && trackEleM.every(e => e != null);
+  return {
+    encoding: "polyline6",
+    n: trackLatLngs.length,
+    points: encodeDeltaInts(coords, 2),
+    ele: hasEle ? encodeDeltaInts(trackEleM.map(e => Math.round(e * 1000)), 1) : null,
+    breaks: trackBreakIdx.slice()
+  };
+}
+
+// Rebuilds the track (and everything derived from it) from encodeTrack() output
+function loadEmbeddedTrack(track) {
+  if (!track || track.encoding !== "polyline6" || typeof track.points !== "string") return false;
+  const coords = decodeDeltaInts(track.points, 2);
+  const n = coords.length / 2;
+  if (n < 2 || (track.n != null && track.n !== n)) return false;
+
+  const latlngs = [];
+  for (let k = 0; k < coords.length; k += 2) latlngs.push([coords[k] / 1e6, coords[k + 1] / 1e6]);
+  const ele = typeof track.ele === "string" ? decodeDeltaInts(track.ele, 1).map(v => v / 1000) : new Array(n).fill(null);
+  if (ele.length !== n) return false;
+
+  trackLatLngs = latlngs;
+  trackEleM = ele;
+  trackBreakIdx = Array.isArray(track.breaks) && track.breaks.length ? track.breaks.map(Number) : [0];
+  demInfo = null; // elevations come from the plan as saved
+  gapModes = new Map();
+  resetRoadbookState();
+  resetActualTrack();
+  clearMarkers();
+  accumulateTrack(readPaceSettings());
+  showTrack();
+  return true;
+}
+
+// Signed integers -> deltas per channel (`stride` interleaved channels) -> polyline varints
+function encodeDeltaInts(values, stride) {
+  const prev = new Array(stride).fill(0);
+  const out = [];
+  for (let k = 0; k < values.length; k++) {
+    const c = k % stride;
+    const d = values[k] - prev[c];
+    prev[c] = values[k];
+    let x = d < 0 ? ~(d << 1) : (d << 1);
+    while (x >= 0x20) { out.push(String.fromCharCode((0x20 | (x & 0x1f)) + 63)); x >>>= 5; }
+    out.push(String.fromCharCode(x + 63));
+  }
+  return out.join("");
+}
+
+function decodeDeltaInts(str, stride) {
+  const prev = new Array(stride).fill(0);
+  const out = [];
+  let k = 0, pos = 0;
+  while (pos < str.length) {
+    let shift = 0, x = 0, b;
+    do {
+      b = str.charCodeAt(pos++) - 63;
+      x |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20 && pos < str.length);
+    const d = (x & 1) ? ~(x >>> 1) : (x >>> 1);
+    const c = k++ % stride;
+    prev[c] += d;
+    out.push(prev[c]);
+  }
+  return out;
+}
+
+if (saveBtn) saveBtn.addEventListener('click', () => {
+  if (!trackLatLngs.length) return;
+  const data = serializePlan();
+  const name = (roadbookLabels.get(0) || "route").replace(/[^\w\-]+/g, '_');
+  downloadFile(`${name}_plan.json`, 'application/json', JSON.stringify(data, null, 2));
+});
+
+if (loadBtn && loadInput) {
+  loadBtn.addEventListener('click', () => loadInput.click());
+  loadInput.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      let raw;
+      try {
+        raw = JSON.parse(await file.text());
+      } catch (err) {
+        console.error(err);
+        alert("Could not parse the plan JSON.");
+        return;
+      }
+      const { plan, problems } = preparePlan(raw);
+      if (problems.length) {
+        alert("This plan file can't be loaded:\n• " + problems.join("\n• "));
+        return;
+      }
+      await restorePlanFromJSON(plan);
+    } catch (err) {
+      console.error(err);
+      alert("Could not restore the plan: " + (err?.message || err));
+    } finally {
+      loadInput.value = "";
+    }
+  });
+}
+
+// ---------- Plan library (IndexedDB) ----------
+// Two stores: "plans" holds named library entries { id, name, savedAt, stats, plan },
+// "session" holds the autosaved working plan under the key "current".
+// Plans are stored with their track embedded, so they reopen without the route file.
+const PLAN_DB_NAME = "gpxplanner";
+const PLAN_DB_VERSION = 1;
+const AUTOSAVE_DELAY_MS = 1500;
+
+const libraryEl      = document.getElementById("library");
+const libraryNameEl  = document.getElementById("libraryName");
+const librarySaveBtn = document.getElementById("librarySaveBtn");
+
+let planDbPromise = null;
+let autosaveTimer = null;
+let autosaveSuspended = false; // true while a plan is being restored
+
+function openPlanDb() {
+  if (!planDbPromise) {
+    planDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) { reject(new Error("IndexedDB is not available in this browser.")); return; }
+      const req = indexedDB.open(PLAN_DB_NAME, PLAN_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("plans")) db.createObjectStore("plans", { keyPath: "id", autoIncrement: true });
+        if (!db.objectStoreNames.contains("session")) db.createObjectStore("session");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    planDbPromise.catch(() => { planDbPromise = null; });
   }
+  return planDbPromise;
+}
 
-  const lastIdx = trackLatLngs.length - 1;
-
-  const legEntries = [];
-  for (let k = 1; k < roadbookIdx.length; k++) {
-    // Clamp leg endpoints into valid range (belt & braces)
-    const aRaw = roadbookIdx[k - 1];
-    const bRaw = roadbookIdx[k];
-    const a = Math.max(0, Math.min(aRaw, lastIdx));
-    const b = Math.max(0, Math.min(bRaw, lastIdx));
-    const key = getLegKey(a, b);
+// Runs `fn(store)` in a transaction; resolves with the request's result
+async function planDbRequest(storeName, mode, fn) {
+  const db = await openPlanDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
 
-    // Safely read cumulative arrays
-    const dA = cumDistKm[a]   ?? 0, dB = cumDistKm[b]   ?? dA;
-    const uA = cumAscentM[a]  ?? 0, uB = cumAscentM[b]  ?? uA;
-    const vA = cumDescentM[a] ?? 0, vB = cumDescentM[b] ?? vA;
-    const tA = cumTimeH[a]    ?? 0, tB = cumTimeH[b]    ?? tA;
+// Headline numbers for the library list, from the plan's legs
+function planStats(plan) {
+  const last = plan.legs?.[plan.legs.length - 1];
+  return {
+    distKm: last?.cumDistKm ?? 0,
+    ascM:   last?.cumAscM ?? 0,
+    timeH:  last?.cumTimeAdjH ?? 0
+  };
+}
 
-    const distKm = dB - dA;
-    const ascM   = uB - uA;
-    const desM   = vB - vA;
-    const timeH  = tB - tA;
+function defaultPlanName() {
+  return `${getWaypointLabel(roadbookIdx[0] ?? 0)} \u2192 ${getWaypointLabel(roadbookIdx[roadbookIdx.length - 1] ?? 0)}`;
+}
 
-    const stopsMin = legStopsMin.get(key) ?? 0;
-    const condPct  = legCondPct.get(key) ?? 0;
-    const totalH   = timeH * (1 + condPct / 100) + (stopsMin / 60);
+async function saveToLibrary(name) {
+  const plan = serializePlan({ embedTrack: true });
+  await planDbRequest("plans", "readwrite", store =>
+    store.add({ name, savedAt: new Date().toISOString(), stats: planStats(plan), plan }));
+  await renderLibrary();
+}
 
-    legEntries.push({ idx: k, a, b, key, distKm, ascM, desM, baseH: timeH, stopsMin, condPct, totalH });
+async function renderLibrary() {
+  if (!libraryEl) return;
+  let entries;
+  try {
+    entries = await planDbRequest("plans", "readonly", store => store.getAll());
+  } catch (err) {
+    console.warn(err);
+    libraryEl.innerHTML = `<p class="subtle">Plan library unavailable: ${escapeHtml(err.message || String(err))}</p>`;
+    if (librarySaveBtn) librarySaveBtn.disabled = true;
+    return;
   }
 
-  // Save adjusted total for the Summary card
-  const totalAdjustedH = legEntries.reduce((s, L) => s + L.totalH, 0);
-  lastTotalAdjustedH = totalAdjustedH;
+  if (!entries.length) {
+    libraryEl.innerHTML = `<p class="subtle">No saved plans yet. Process a route, then <em>Save to library</em>.</p>`;
+    return;
+  }
 
-  let html = `
-    <p>Click the map to add waypoints; click a waypoint to remove it (locked ones won’t remove).
-      Double-click <em>Name</em>, edit <em>Stops</em>/<em>Cond</em>, and set <em>Critical</em> per leg.</p>
-    <table>
+  entries.sort((a, b) => (b.savedAt || "").localeCompare(a.savedAt || ""));
+  libraryEl.innerHTML = `
+    <table class="library-table">
       <thead>
-        <tr>
-          <th rowspan="2">#</th>
-          <th rowspan="2">Name</th>
-          <th rowspan="2">Critical</th>
-          <th colspan="3">Leg</th>
-          <th colspan="3">Accumulated</th>
-          <th colspan="6">Time</th>
-        </tr>
-        <tr>
-          <th>d</th><th>↑</th><th>↓</th>
-          <th>Σd</th><th>Σ↑</th><th>Σ↓</th>
-          <th>t</th><th>Stops</th><th>Cond</th><th>Total</th><th>Σt</th><th>Rem</th>
-        </tr>
+        <tr><th>Name</th><th>Saved</th><th>Distance</th><th>Ascent</th><th>Time</th><th></th></tr>
       </thead>
       <tbody>
+        ${entries.map(e => `
+          <tr data-id="${e.id}">
+            <td>${escapeHtml(e.name)}</td>
+            <td>${escapeHtml(new Date(e.savedAt).toLocaleString())}</td>
+            <td>${fmtKm(e.stats?.distKm ?? 0)}</td>
+            <td>${Math.round(e.stats?.ascM ?? 0)} m</td>
+            <td>${fmtHrs(e.stats?.timeH ?? 0)}</td>
+            <td class="library-actions">
+              <button type="button" data-act="open">Open</button>
+              <button type="button" data-act="duplicate">Duplicate</button>
+              <button type="button" data-act="rename">Rename</button>
+              <button type="button" data-act="delete">Delete</button>
+            </td>
+          </tr>`).join("")}
+      </tbody>
+    </table>
   `;
 
-  let cumDistKmShown = 0, cumAscMShown = 0, cumDesMShown = 0, cumTimeAdjH = 0;
+  libraryEl.querySelectorAll('button[data-act]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const id = Number(btn.closest('tr').dataset.id);
+      const entry = entries.find(e => e.id === id);
+      if (entry) libraryAction(btn.dataset.act, entry).catch(err => {
+        console.error(err);
+        alert(`Plan library: ${err.message || err}`);
+      });
+    });
+  });
+}
 
-  for (const L of legEntries) {
-    cumDistKmShown += L.distKm;
-    cumAscMShown   += L.ascM;
-    cumDesMShown   += L.desM;
-    cumTimeAdjH    += L.totalH;
+async function libraryAction(act, entry) {
+  if (act === "open") {
+    const { plan, problems } = preparePlan(entry.plan);
+    if (problems.length) { alert("This plan can't be opened:\n• " + problems.join("\n• ")); return; }
+    await restorePlanFromJSON(plan);
+    if (libraryNameEl) libraryNameEl.value = entry.name;
+    return;
+  }
+  if (act === "duplicate") {
+    const { id, ...copy } = entry;
+    await planDbRequest("plans", "readwrite", store =>
+      store.add({ ...copy, name: `${entry.name} (copy)`, savedAt: new Date().toISOString() }));
+  } else if (act === "rename") {
+    const name = (prompt("Rename plan", entry.name) || "").trim();
+    if (!name || name === entry.name) return;
+    await planDbRequest("plans", "readwrite", store => store.put({ ...entry, name }));
+  } else if (act === "delete") {
+    if (!confirm(`Delete "${entry.name}" from the library?`)) return;
+    await planDbRequest("plans", "readwrite", store => store.delete(entry.id));
+  }
+  await renderLibrary();
+}
 
-    const autoLabel    = getDefaultLegLabel(L.a, L.b);
-    const displayLabel = legLabels.get(L.key) || autoLabel;
-    const remainingH   = totalAdjustedH - cumTimeAdjH;
-    const isCritical   = legCritical.get(L.key) ?? false;
+if (librarySaveBtn) librarySaveBtn.addEventListener('click', () => {
+  if (!trackLatLngs.length) return;
+  const name = (libraryNameEl?.value || "").trim() || defaultPlanName();
+  saveToLibrary(name).catch(err => {
+    console.error(err);
+    alert(`Could not save to the plan library: ${err.message || err}`);
+  });
+});
 
-    html += `
-      <tr>
-        <td>${L.idx}</td>
-        <td class="leg-cell">
-          <span class="leg-name" contenteditable="true" data-legkey="${L.key}" spellcheck="false"
-                title="Double-click to edit">${escapeHtml(displayLabel)}</span>
-        </td>
+// Working-plan autosave: debounced after every table render
+function scheduleAutosave() {
+  if (autosaveSuspended || !trackLatLngs.length) return;
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(() => {
+    const plan = serializePlan({ embedTrack: true });
+    planDbRequest("session", "readwrite", store => store.put({ savedAt: new Date().toISOString(), plan }, "current"))
+      .catch(err => console.warn("Autosave failed:", err));
+  }, AUTOSAVE_DELAY_MS);
+}
 
-        <td>
-          <select class="wb-critical" data-legkey="${L.key}">
-            <option value="No"${isCritical ? "" : " selected"}>No</option>
-            <option value="Yes"${isCritical ? " selected" : ""}>Yes</option>
-          </select>
-        </td>
+// On startup: bring back the last working plan (e.g. after an accidental reload)
+async function restoreAutosave() {
+  let saved;
+  try {
+    saved = await planDbRequest("session", "readonly", store => store.get("current"));
+  } catch (err) {
+    console.warn(err);
+    return;
+  }
+  if (!saved?.plan || trackLatLngs.length) return;
+  const { plan, problems } = preparePlan(saved.plan);
+  if (problems.length) { console.warn("Ignoring autosave:", problems); return; }
+
+  autosaveSuspended = true;
+  try {
+    await restorePlanFromJSON(plan, { quiet: true });
+  } catch (err) {
+    // Would fail again on every load: discard it
+    console.warn("Autosave could not be restored, discarding it:", err);
+    await planDbRequest("session", "readwrite", store => store.delete("current"));
+  } finally {
+    autosaveSuspended = false;
+  }
+}
 
-        <td>${fmtKm(L.distKm)}</td>
-        <td>${Math.round(L.ascM)} m</td>
-        <td>${Math.round(L.desM)} m</td>
+renderLibrary();
+restoreAutosave().catch(err => console.warn("Autosave restore failed:", err));
 
-        <td>${fmtKm(cumDistKmShown)}</td>
-        <td>${Math.round(cumAscMShown)} m</td>
-        <td>${Math.round(cumDesMShown)} m</td>
 
-        <td>${fmtHrs(L.baseH)}</td>
-        <td>
-          <span class="editable wb-stops" contenteditable="true" data-legkey="${L.key}" spellcheck="false"
-                title="Integer minutes">${escapeHtml(minutesToText(L.stopsMin))}</span>
-        </td>
-        <td>
-          <span class="editable wb-cond" contenteditable="true" data-legkey="${L.key}" spellcheck="false"
-                title="Integer percent">${escapeHtml(percentToText(L.condPct))}</span>
-        </td>
-        <td>${fmtHrs(L.totalH)}</td>
-        <td>${fmtHrs(cumTimeAdjH)}</td>
-        <td>${fmtHrs(remainingH)}</td>
-      </tr>
-    `;
+if (exportCsv) exportCsv.addEventListener('click', () => {
+  const table = roadbooksEl.querySelector('table');
+  if (!table) { alert('No table to export.'); return; }
+
+  const rows = [];
+  // header rows as-is
+  table.querySelectorAll('thead tr').forEach(tr =>
+    rows.push([...tr.children].map(th => th.textContent.trim()))
+  );
+
+  // body rows: use selected option text for selects
+  table.querySelectorAll('tbody tr').forEach(tr => {
+    const cells = [...tr.children].map(td => {
+      const tags = td.querySelectorAll('.wb-supply');
+      if (tags.length) return [...tags].filter(c => c.checked).map(c => SUPPLY_TAGS[c.dataset.tag].label).join('; ');
+      const carry = td.querySelectorAll('.wb-carry');
+      if (carry.length) return [...carry].map(sp => sp.textContent).join(' / ');
+      const chk = td.querySelector('input[type="checkbox"]');
+      if (chk) return chk.checked ? 'Yes' : '';
+      const sel = td.querySelector('select');
+      if (sel) {
+        const opt = sel.options[sel.selectedIndex];
+        return (opt ? opt.text : sel.value || '');
+      }
+      // for editable spans, use their text
+      const span = td.querySelector('span');
+      if (span) return span.textContent.trim();
+      return td.textContent.replace(/\s+/g,' ').trim();
+    });
+    rows.push(cells);
+  });
+
+  const csv = rows
+    .map(r => r.map(v => /[",\n]/.test(v) ? `"${v.replace(/"/g,'""')}"` : v).join(','))
+    .join('\n');
+  downloadFile('roadbooks_table.csv', 'text/csv;charset=utf-8', csv);
+});
+
+
+// ---------- Pace calibration (recorded activities) ----------
+// Fits the active pace model to timed GPX recordings. Each recording runs
+// through the same resample/smooth/deadband pipeline as a route, with clock
+// time replaced by moving time, and is cut into ~CALIB_CHUNK_KM pieces. The
+// fit minimises the squared log-ratio of predicted to recorded time per
+// piece, weighted by that time (Nelder–Mead on log-parameters). Each piece's
+// steps are merged into ~CALIB_STEP_KM runs first, as every cost evaluation
+// walks all of them.
+const CALIB_STOP_KMH = 1;      // slower than this between two fixes counts as stopped
+const CALIB_MAX_GAP_S = 600;   // longer gaps between fixes are a paused recording
+const CALIB_CHUNK_KM = 0.5;
+const CALIB_STEP_KM = 0.03;
+
+const calibFilesInput = document.getElementById("calibFiles");
+const calibBtn = document.getElementById("calibrateBtn");
+const calibResultEl = document.getElementById("calibResult");
+const customActivityListEl = document.getElementById("customActivityList");
+
+let calibFit = null; // last fit (see runCalibration), for Apply / Save as activity
+
+calibBtn?.addEventListener("click", () => runCalibration());
+
+async function runCalibration() {
+  const files = [...(calibFilesInput?.files || [])];
+  if (!files.length) {
+    alert("Please choose one or more recorded GPX files (with <time> stamps).");
+    return;
   }
 
-  html += `</tbody></table>`;
-  roadbooksEl.innerHTML = html;
+  const pace = readPaceSettings();
+  const model = PACE_MODELS[pace.paceModel];
+  const processing = readProcessingSettings();
+  const data = { chunks: [], movingH: 0, stoppedH: 0, distKm: 0, files: 0, skipped: [] };
+  for (const file of files) {
+    const rec = recordingChunks(parseGPXToSegments(await readFileAsText(file)), processing);
+    if (!rec.chunks.length) { data.skipped.push(file.name); continue; }
+    data.files++;
+    data.chunks.push(...rec.chunks);
+    data.movingH += rec.movingH;
+    data.stoppedH += rec.stoppedH;
+    data.distKm += rec.distKm;
+  }
+  if (!data.chunks.length) {
+    alert("No usable timed track found in: " + data.skipped.join(", ") + ".");
+    return;
+  }
 
-  bindLegEditors();
-  bindTimeEditors();
-  bindCriticalEditors();
+  // The fit blocks the page for a moment: show that it is running first
+  if (calibBtn) calibBtn.disabled = true;
+  if (calibResultEl) calibResultEl.innerHTML = `<p class="subtle">Fitting ${data.chunks.length} pieces…</p>`;
+  await new Promise(resolve => setTimeout(resolve, 0));
+  const vars = calibrationVars(pace);
+  let fitted;
+  try {
+    fitted = fitPace(model, pace, vars, data.chunks);
+  } finally {
+    if (calibBtn) calibBtn.disabled = false;
+  }
+  calibFit = {
+    pace: fitted,
+    vars,
+    before: fitStats(model, pace, data.chunks),
+    after: fitStats(model, fitted, data.chunks),
+    current: pace,
+    data
+  };
+  renderCalibration();
+}
 
-  // ✅ Refresh Summary after any table rebuild (so totals stay in sync)
-  updateSummaryCard();
+// Timed segments -> { chunks: [{ distKm[], ascentM[], descentM[], grade[], obsH }], movingH, stoppedH, distKm }
+function recordingChunks(segments, processing) {
+  const out = { chunks: [], movingH: 0, stoppedH: 0, distKm: 0 };
+  for (const raw of segments) {
+    const timed = raw.filter(p => p.time != null);
+    if (timed.length < 2) continue;
+
+    // Moving time replaces clock time, so stops vanish from the interpolation
+    let movingS = 0;
+    const pts = timed.map((p, k) => {
+      if (k > 0) {
+        const q = timed[k - 1];
+        const dtS = (p.time - q.time) / 1000;
+        const kmh = haversineKm(q.lat, q.lon, p.lat, p.lon) / (dtS / 3600);
+        if (dtS > 0 && dtS <= CALIB_MAX_GAP_S && kmh >= CALIB_STOP_KMH) movingS += dtS;
+        else if (dtS > 0) out.stoppedH += dtS / 3600;
+      }
+      return { ...p, time: movingS * 1000 };
+    });
+    out.movingH += movingS / 3600;
+
+    const seg = filterSegment(pts, processing);
+    if (!seg) continue;
+    const steps = trackSteps(seg.points.map(p => [p.lat, p.lon]), seg.ele, [0]);
+    const n = seg.points.length;
+    let from = 0, km = 0;
+    for (let i = 1; i < n; i++) {
+      km += steps.distKm[i];
+      if (km < CALIB_CHUNK_KM && i < n - 1) continue;
+      const obsH = (seg.points[i].time - seg.points[from].time) / 3.6e6;
+      if (obsH > 0 && km >= CALIB_CHUNK_KM / 2) {
+        out.chunks.push({ ...mergeSteps(steps, from + 1, i + 1, CALIB_STEP_KM), obsH });
+        out.distKm += km;
+      }
+      from = i;
+      km = 0;
+    }
+  }
+  return out;
 }
 
+// Steps from..to-1 merged into runs of about binKm: distance, ascent and
+// descent summed, grade distance-weighted. The grades are already windowed
+// over PACE_GRADE_WIN_M, so the predicted time barely moves.
+function mergeSteps(steps, from, to, binKm) {
+  const out = { distKm: [], ascentM: [], descentM: [], grade: [] };
+  let distKm = 0, ascentM = 0, descentM = 0, gradeKm = 0;
+  for (let i = from; i < to; i++) {
+    distKm += steps.distKm[i];
+    ascentM += steps.ascentM[i];
+    descentM += steps.descentM[i];
+    gradeKm += steps.grade[i] * steps.distKm[i];
+    if (distKm < binKm && i < to - 1) continue;
+    out.distKm.push(distKm);
+    out.ascentM.push(ascentM);
+    out.descentM.push(descentM);
+    out.grade.push(distKm > 0 ? gradeKm / distKm : 0);
+    distKm = ascentM = descentM = gradeKm = 0;
+  }
+  return out;
+}
 
+function predictChunkH(model, pace, chunk) {
+  let t = 0;
+  for (let k = 0; k < chunk.distKm.length; k++) t += model.stepH(stepAt(chunk, k), pace);
+  return t;
+}
 
-// ---------- Editors ----------
-function bindLegEditors() {
-  const els = roadbooksEl.querySelectorAll('.leg-name');
-  els.forEach(el => {
-    el.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); el.blur(); } });
-    el.addEventListener('blur', () => {
-      const key = el.dataset.legkey;
-      const txt = el.textContent || "";
-      setLegLabelByKey(key, txt);
-      renderRoadbooksTable();
-    });
-    el.addEventListener('focus', () => {
-      const r = document.createRange(); r.selectNodeContents(el);
-      const sel = window.getSelection(); sel.removeAllRanges(); sel.addRange(r);
-    });
+// What the fit may move for the active model: [{ label, get(pace), set(pace, v) }]
+function calibrationVars(pace) {
+  const model = PACE_MODELS[pace.paceModel];
+  return model.fit.flatMap(key => {
+    if (key !== "downhill") {
+      return [{ label: model.params[key].label, get: p => p[key], set: (p, v) => { p[key] = v; } }];
+    }
+    if (pace.downhillMode === "factor") {
+      return [{ label: "Downhill factor", get: p => p.downhillFactor, set: (p, v) => { p.downhillFactor = v; } }];
+    }
+    return pace.downhillCurve.map(([g], k) => ({
+      label: `Downhill × at ${g} %`,
+      get: p => p.downhillCurve[k][1],
+      set: (p, v) => { p.downhillCurve[k] = [g, v]; }
+    }));
   });
 }
 
-function bindTimeEditors() {
-  // Stops (minutes)
-  roadbooksEl.querySelectorAll('.wb-stops').forEach(el => {
-    el.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); el.blur(); } });
-    el.addEventListener('blur', () => {
-      const key = el.dataset.legkey;
-      const val = sanitizeInt(el.textContent, 0);
-      legStopsMin.set(key, val);
-      el.textContent = minutesToText(val);
-      renderRoadbooksTable();
-    });
-    el.addEventListener('input', () => {
-      el.textContent = el.textContent.replace(/[^\d]/g, '');
-      const s = window.getSelection(); const r = document.createRange();
-      r.selectNodeContents(el); r.collapse(false); s.removeAllRanges(); s.addRange(r);
-    });
-  });
+function fitPace(model, pace, vars, chunks) {
+  const x0 = vars.map(v => Math.log(Math.max(v.get(pace), 1e-3)));
+  const trial = x => {
+    const p = { ...pace, downhillCurve: pace.downhillCurve.map(pt => pt.slice()) };
+    vars.forEach((v, k) => v.set(p, Math.exp(x[k])));
+    return p;
+  };
+  const totalH = chunks.reduce((s, c) => s + c.obsH, 0);
+  const cost = x => {
+    const p = trial(x);
+    let e = 0;
+    for (const c of chunks) {
+      const r = Math.log(Math.max(predictChunkH(model, p, c), 1e-6) / c.obsH);
+      e += c.obsH * r * r;
+    }
+    // A faint pull towards the start keeps parameters the data never exercises
+    // (e.g. curve points steeper than anything recorded) where they were.
+    const reg = x.reduce((s, xi, k) => s + (xi - x0[k]) ** 2, 0);
+    return e / totalH + 1e-4 * reg;
+  };
+  return trial(nelderMead(cost, x0));
+}
 
-  // Conditions (percent)
-  roadbooksEl.querySelectorAll('.wb-cond').forEach(el => {
-    el.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); el.blur(); } });
-    el.addEventListener('blur', () => {
-      const key = el.dataset.legkey;
-      const val = sanitizeInt(el.textContent, 0);
-      legCondPct.set(key, val);
-      el.textContent = percentToText(val);
-      renderRoadbooksTable();
-    });
-    el.addEventListener('input', () => {
-      el.textContent = el.textContent.replace(/[^\d]/g, '');
-      const s = window.getSelection(); const r = document.createRange();
-      r.selectNodeContents(el); r.collapse(false); s.removeAllRanges(); s.addRange(r);
-    });
+// Plain Nelder–Mead (reflect/expand/contract/shrink) -> best point
+function nelderMead(f, x0, { step = 0.2, maxIter = 200 * x0.length, tol = 1e-10 } = {}) {
+  const n = x0.length;
+  let simplex = [x0, ...x0.map((_, k) => x0.map((v, j) => j === k ? v + step : v))]
+    .map(x => ({ x, f: f(x) }));
+  const lerp = (a, b, t) => a.map((v, k) => v + t * (b[k] - v));
+
+  for (let it = 0; it < maxIter; it++) {
+    simplex.sort((a, b) => a.f - b.f);
+    const best = simplex[0], worst = simplex[n];
+    if (Math.abs(worst.f - best.f) < tol) break;
+
+    const centroid = x0.map((_, k) => simplex.slice(0, n).reduce((s, p) => s + p.x[k], 0) / n);
+    const refl = lerp(centroid, worst.x, -1);
+    const fr = f(refl);
+    if (fr < best.f) {
+      const exp = lerp(centroid, worst.x, -2);
+      const fe = f(exp);
+      simplex[n] = fe < fr ? { x: exp, f: fe } : { x: refl, f: fr };
+    } else if (fr < simplex[n - 1].f) {
+      simplex[n] = { x: refl, f: fr };
+    } else {
+      const con = lerp(centroid, worst.x, 0.5);
+      const fc = f(con);
+      if (fc < worst.f) simplex[n] = { x: con, f: fc };
+      else simplex = simplex.map((p, k) => k === 0 ? p : { x: lerp(best.x, p.x, 0.5), f: f(lerp(best.x, p.x, 0.5)) });
+    }
+  }
+  simplex.sort((a, b) => a.f - b.f);
+  return simplex[0].x;
+}
+
+// Per-piece agreement: mean absolute % error, R² of piece times, totals
+function fitStats(model, pace, chunks) {
+  const pred = chunks.map(c => predictChunkH(model, pace, c));
+  const obs = chunks.map(c => c.obsH);
+  const mean = obs.reduce((s, v) => s + v, 0) / obs.length;
+  let ssRes = 0, ssTot = 0, ape = 0;
+  obs.forEach((o, k) => {
+    ssRes += (o - pred[k]) ** 2;
+    ssTot += (o - mean) ** 2;
+    ape += Math.abs(pred[k] - o) / o;
   });
+  return {
+    mapePct: 100 * ape / obs.length,
+    r2: ssTot > 0 ? 1 - ssRes / ssTot : null,
+    predH: pred.reduce((s, v) => s + v, 0),
+    obsH: mean * obs.length
+  };
 }
 
-function bindCriticalEditors() {
-  roadbooksEl.querySelectorAll('.wb-critical').forEach(sel => {
-    sel.addEventListener('change', () => {
-      const key = sel.dataset.legkey;
-      const yes = (sel.value === 'Yes');
-      if (yes) legCritical.set(key, true);
-      else legCritical.set(key, false);
-    });
+function renderCalibration() {
+  if (!calibResultEl || !calibFit) return;
+  const { vars, current, pace, before, after, data } = calibFit;
+  const model = PACE_MODELS[current.paceModel];
+  const num = v => +v.toPrecision(3);
+  const r2 = s => s.r2 == null ? "–" : s.r2.toFixed(2);
+
+  const rows = vars.map(v => `
+    <tr><td>${escapeHtml(v.label)}</td><td>${num(v.get(current))}</td><td><strong>${num(v.get(pace))}</strong></td></tr>`).join("");
+  const skipped = data.skipped.length ? ` Skipped (no timed track): ${escapeHtml(data.skipped.join(", "))}.` : "";
+
+  calibResultEl.innerHTML = `
+    <p class="subtle">${data.files} recording${data.files === 1 ? "" : "s"}, ${fmtKm(data.distKm)}, ${fmtHrs(data.movingH)} moving
+      (${fmtHrs(data.stoppedH)} of stops excluded), ${data.chunks.length} pieces of ~${CALIB_CHUNK_KM} km.${skipped}</p>
+    <table>
+      <thead><tr><th>${escapeHtml(model.label)}</th><th>Current</th><th>Fitted</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <ul class="calib-stats">
+      <li>Mean error per piece: ${before.mapePct.toFixed(0)} % → <strong>${after.mapePct.toFixed(0)} %</strong></li>
+      <li>R² of piece times: ${r2(before)} → <strong>${r2(after)}</strong></li>
+      <li>Moving time: recorded ${fmtHrs(after.obsH)}, predicted ${fmtHrs(before.predH)} → <strong>${fmtHrs(after.predH)}</strong></li>
+    </ul>
+    <div class="actions">
+      <button id="calibApplyBtn">Apply to settings</button>
+      <span class="spacer"></span>
+      <input type="text" id="calibName" placeholder="Activity name" />
+      <button id="calibSaveBtn">Save as activity</button>
+    </div>`;
+
+  document.getElementById("calibApplyBtn").addEventListener("click", applyCalibration);
+  document.getElementById("calibSaveBtn").addEventListener("click", () => {
+    saveCalibratedActivity(document.getElementById("calibName").value);
   });
 }
 
+function applyCalibration() {
+  writePaceToForm(calibFit.pace);
+  if (trackLatLngs.length) {
+    accumulateTrack(readPaceSettings());
+    renderRoadbooksTable();
+  }
+}
 
-// ---------- Save / Load / Export CSV ----------
-function serializePlan() {
-  const legs = [];
-  let cumDistKmShown = 0, cumAscMShown = 0, cumDesMShown = 0, cumTimeAdjH = 0;
+function saveCalibratedActivity(name) {
+  const base = baseActivity(activitySel?.value || "hike");
+  const label = String(name || "").trim() ||
+    `${activitySel?.querySelector(`option[value="${base}"]`)?.textContent || base} (calibrated)`;
+  const id = "custom-" + Date.now().toString(36);
+  customActivities[id] = { name: label, base, pace: calibFit.pace, createdAt: new Date().toISOString() };
+  saveCustomActivities();
+  renderCustomActivityOptions();
+  renderCustomActivityList();
+  activitySel.value = id;
+  applyActivityPreset(id);
+  if (trackLatLngs.length) {
+    accumulateTrack(readPaceSettings());
+    renderRoadbooksTable();
+  }
+}
 
-  const lastIdx = trackLatLngs.length - 1;
+function renderCustomActivityList() {
+  if (!customActivityListEl) return;
+  const entries = Object.entries(customActivities);
+  if (!entries.length) { customActivityListEl.innerHTML = ""; return; }
+  customActivityListEl.innerHTML = `
+    <h3>Saved activities</h3>
+    <table>
+      <tbody>${entries.map(([id, a]) => `
+        <tr>
+          <td>${escapeHtml(a.name)}</td>
+          <td>${escapeHtml(PACE_MODELS[a.pace?.paceModel]?.label || "")}</td>
+          <td><button type="button" data-delete="${id}">Delete</button></td>
+        </tr>`).join("")}
+      </tbody>
+    </table>`;
+  customActivityListEl.querySelectorAll("button[data-delete]").forEach(btn => {
+    btn.addEventListener("click", () => deleteCustomActivity(btn.dataset.delete));
+  });
+}
 
-  for (let k = 1; k < roadbookIdx.length; k++) {
-    const aRaw = roadbookIdx[k - 1];
-    const bRaw = roadbookIdx[k];
-    const a = Math.max(0, Math.min(aRaw, lastIdx));
-    const b = Math.max(0, Math.min(bRaw, lastIdx));
-    const key = getLegKey(a, b);
+function deleteCustomActivity(id) {
+  const a = customActivities[id];
+  if (!a || !confirm(`Delete the activity "${a.name}"?`)) return;
+  delete customActivities[id];
+  saveCustomActivities();
+  const wasSelected = activitySel?.value === id;
+  renderCustomActivityOptions();
+  renderCustomActivityList();
+  if (wasSelected) {
+    activitySel.value = a.base;
+    applyActivityPreset(a.base);
+  }
+}
 
-    const dA = cumDistKm[a]   ?? 0, dB = cumDistKm[b]   ?? dA;
-    const uA = cumAscentM[a]  ?? 0, uB = cumAscentM[b]  ?? uA;
-    const vA = cumDescentM[a] ?? 0, vB = cumDescentM[b] ?? vA;
-    const tA = cumTimeH[a]    ?? 0, tB = cumTimeH[b]    ?? tA;
+renderCustomActivityList();
+
+// ---------- Export GPX (processed track + roadbooks) ----------
+// Writes the resampled track with filtered elevations (one <trkseg> per
+// original segment) and every roadbook as a <wpt>. <name> comes first so
+// parseGPXRoadbooks() picks the label back up on re-import.
+function buildPlanGPX() {
+  const legs = computeLegEntries();
+  const legByEnd = new Map(legs.map(L => [L.b, L]));
+  const legByStart = new Map(legs.map(L => [L.a, L]));
+  const fmtCoord = v => v.toFixed(7);
+  const fmtEle = e => (e == null ? "" : `<ele>${e.toFixed(1)}</ele>`);
+
+  const wpts = roadbookIdx.map(i => {
+    const [lat, lon] = trackLatLngs[i];
+    const inLeg = legByEnd.get(i), outLeg = legByStart.get(i);
+    const eta = lastEtaByIdx.get(i);
+
+    const desc = [`km ${(cumDistKm[i] ?? 0).toFixed(2)}`];
+    if (eta?.arrive) desc.push(`arr ${fmtClock(eta.arrive)}`);
+    if (eta?.depart) desc.push(`dep ${fmtClock(eta.depart)}`);
+    if (roadbookOvernight.has(i)) desc.push("overnight");
+    for (const t of roadbookSupply.get(i) || []) desc.push(SUPPLY_TAGS[t].label.toLowerCase());
+
+    const notes = [];
+    if (inLeg) notes.push(legNoteText("In", inLeg));
+    if (outLeg) notes.push(legNoteText("Next", outLeg));
+
+    return `  <wpt lat="${fmtCoord(lat)}" lon="${fmtCoord(lon)}">
+    ${fmtEle(trackEleM[i])}
+    <name>${escapeXml(getWaypointLabel(i))}</name>
+    <cmt>${escapeXml(notes.join(" | "))}</cmt>
+    <desc>${escapeXml(desc.join(" • "))}</desc>
+  </wpt>`;
+  }).join("\n");
+
+  const bounds = trackBreakIdx.length ? trackBreakIdx.concat([trackLatLngs.length]) : [0, trackLatLngs.length];
+  const segs = [];
+  for (let s = 0; s < bounds.length - 1; s++) {
+    const pts = [];
+    for (let i = bounds[s]; i < bounds[s + 1]; i++) {
+      const [lat, lon] = trackLatLngs[i];
+      pts.push(`      <trkpt lat="${fmtCoord(lat)}" lon="${fmtCoord(lon)}">${fmtEle(trackEleM[i])}</trkpt>`);
+    }
+    segs.push(`    <trkseg>\n${pts.join("\n")}\n    </trkseg>`);
+  }
 
-    const distKm = dB - dA;
-    const ascM   = uB - uA;
-    const desM   = vB - vA;
-    const baseH  = tB - tA;
+  const name = getWaypointLabel(roadbookIdx[0] ?? 0) + " \u2192 " + getWaypointLabel(roadbookIdx[roadbookIdx.length - 1] ?? 0);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="GPX Planner" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>
+${wpts}
+  <trk>
+    <name>${escapeXml(name)}</name>
+${segs.join("\n")}
+  </trk>
+</gpx>
+`;
+}
 
-    const stopsMin = legStopsMin.get(key) ?? 0;
-    const condPct  = legCondPct.get(key) ?? 0;
-    const name     = legLabels.get(key) || getDefaultLegLabel(a, b);
+// "Next: Hut → Summit, 4:38 h, stops 15 min, cond 10 %, critical"
+function legNoteText(prefix, L) {
+  const parts = [`${prefix}: ${legLabels.get(L.key) || getDefaultLegLabel(L.a, L.b)}`, fmtHrs(L.totalH)];
+  if (L.stopsMin) parts.push(`stops ${minutesToText(L.stopsMin)}`);
+  if (L.condPct) parts.push(`cond ${percentToText(L.condPct)}`);
+  if (L.terrain) parts.push(terrainClasses[L.terrain].label.toLowerCase());
+  if (legCritical.get(L.key)) parts.push("critical");
+  return parts.join(", ");
+}
 
-    const totalH   = baseH * (1 + condPct / 100) + (stopsMin / 60);
+if (exportGpx) exportGpx.addEventListener('click', () => {
+  if (!trackLatLngs.length) return;
+  const name = (roadbookLabels.get(0) || "route").replace(/[^\w\-]+/g, '_');
+  downloadFile(`${name}_plan.gpx`, 'application/gpx+xml', buildPlanGPX());
+});
 
-    cumDistKmShown += distKm;
-    cumAscMShown   += ascM;
-    cumDesMShown   += desM;
-    cumTimeAdjH    += totalH;
 
-    legs.push({
-      idx: k, a, b, key, name,
-      distKm, ascM, desM, baseH, stopsMin, condPct, totalH,
-      cumDistKm: cumDistKmShown, cumAscM: cumAscMShown, cumDesM: cumDesMShown, cumTimeAdjH,
-      critical: !!(legCritical.get(key))
-    });
-  }
+// ---------- Route import (pluggable formats) ----------
+// Every format turns file text into the same shapes the pipeline expects:
+//   parseSegments(text)  -> [[{ lat, lon, ele }], ...]   (one array per segment)
+//   parseWaypoints(text) -> [{ lat, lon, name }]
+// detect(text) sniffs the content when the file extension is missing or wrong.
+const ROUTE_FORMATS = [];
 
-  const settings = {
-    speedFlatKmh: parseFloat(document.getElementById("speedFlat")?.value) || 4,
-    speedVertMh:  parseFloat(document.getElementById("speedVert")?.value)  || 300,
-    downhillFactor: parseFloat(document.getElementById("downhillFactor")?.value) || 0.6667,
-    spacingM: parseFloat(document.getElementById("spacingM")?.value) || 5,
-    smoothWinM: parseFloat(document.getElementById("smoothWinM")?.value) || 35,
-    elevDeadbandM: parseFloat(document.getElementById("elevDeadbandM")?.value) || 2
-  };
+function registerRouteFormat(fmt) { ROUTE_FORMATS.push(fmt); }
 
-  return {
-    version: 1,
-    createdAt: new Date().toISOString(),
-    signature: trackSignature(),
-    settings,
-    roadbookIdx,
-    roadbookLabels: Object.fromEntries(roadbookLabels),
-    legLabels: Object.fromEntries(legLabels),
-    legStopsMin: Object.fromEntries(legStopsMin),
-    legCondPct: Object.fromEntries(legCondPct),
-    legCritical: Object.fromEntries(legCritical),
-    legs
-  };
+function detectRouteFormat(text, filename = "") {
+  const ext = (filename.match(/\.([^.]+)$/)?.[1] || "").toLowerCase();
+  const byExt = ROUTE_FORMATS.find(f => f.extensions.includes(ext));
+  if (byExt && byExt.detect(text)) return byExt;
+  return ROUTE_FORMATS.find(f => f.detect(text)) || null;
 }
 
+// -> { format, segments, waypoints } or null when no format matches.
+// workerParse formats come back as { format, text }; processSegments() parses
+// those in the worker.
+function parseRouteFile(text, filename) {
+  const fmt = detectRouteFormat(text, filename);
+  if (!fmt) return null;
+  if (fmt.workerParse) return { format: fmt.id, text };
+  return { format: fmt.id, segments: fmt.parseSegments(text), waypoints: fmt.parseWaypoints(text) };
+}
 
+function parseXml(text) {
+  const xml = new DOMParser().parseFromString(text, "application/xml");
+  return xml.querySelector("parsererror") ? null : xml;
+}
 
-function restorePlanFromJSON(plan) {
-  const sig = trackSignature();
-  if (!sig || !plan.signature || sig.n !== plan.signature.n) {
-    alert("Heads-up: this saved plan may belong to a different GPX or settings.");
-  }
+// Namespace-agnostic lookups (KML uses gx:, TCX a default namespace)
+function xmlAll(node, localName) { return [...node.getElementsByTagNameNS("*", localName)]; }
+function xmlText(node, localName) { return xmlAll(node, localName)[0]?.textContent.trim() || ""; }
 
-  roadbookIdx = Array.isArray(plan.roadbookIdx) ? plan.roadbookIdx.slice() : roadbookIdx;
-  roadbookLabels = new Map(Object.entries(plan.roadbookLabels || {}).map(([k,v]) => [Number(k), v]));
-  legLabels      = new Map(Object.entries(plan.legLabels || {}));
-  legStopsMin    = new Map(Object.entries(plan.legStopsMin || {}));
-  legCondPct     = new Map(Object.entries(plan.legCondPct || {}));
+function validPoint(p) { return Number.isFinite(p.lat) && Number.isFinite(p.lon); }
+function numOrNull(v) { const n = parseFloat(v); return Number.isFinite(n) ? n : null; }
 
-  legCritical = new Map(Object.entries(plan.legCritical || {}).map(([k,v]) => [k, !!v]));
+registerRouteFormat({
+  id: "gpx", label: "GPX", extensions: ["gpx"],
+  detect: text => /<gpx[\s>]/i.test(text.slice(0, 2000)),
+  parseSegments: parseGPXToSegments,
+  parseWaypoints: parseGPXRoadbooks
+});
 
-  clearMarkers();
-  for (const i of roadbookIdx) {
-    const locked = (i === 0 || i === trackLatLngs.length - 1);
-    addRoadbookIndex(i, { noRender: true, label: roadbookLabels.get(i), locked });
+// Garmin TCX: courses and activities; each <Track> becomes a segment,
+// <CoursePoint>s become roadbooks.
+registerRouteFormat({
+  id: "tcx", label: "TCX", extensions: ["tcx"],
+  detect: text => /<TrainingCenterDatabase[\s>]/.test(text.slice(0, 2000)),
+  parseSegments(text) {
+    const xml = parseXml(text);
+    if (!xml) return [];
+    return xmlAll(xml, "Track").map(trk =>
+      xmlAll(trk, "Trackpoint").map(tp => ({
+        lat: numOrNull(xmlText(tp, "LatitudeDegrees")),
+        lon: numOrNull(xmlText(tp, "LongitudeDegrees")),
+        ele: numOrNull(xmlText(tp, "AltitudeMeters"))
+      })).filter(validPoint)
+    ).filter(arr => arr.length >= 2);
+  },
+  parseWaypoints(text) {
+    const xml = parseXml(text);
+    if (!xml) return [];
+    return xmlAll(xml, "CoursePoint").map(cp => ({
+      lat: numOrNull(xmlText(cp, "LatitudeDegrees")),
+      lon: numOrNull(xmlText(cp, "LongitudeDegrees")),
+      name: xmlText(cp, "Name") || xmlText(cp, "PointType")
+    })).filter(validPoint);
   }
-  renderRoadbooksTable();
-}
-
-if (saveBtn) saveBtn.addEventListener('click', () => {
-  if (!trackLatLngs.length) return;
-  const data = serializePlan();
-  const name = (roadbookLabels.get(0) || "route").replace(/[^\w\-]+/g, '_');
-  downloadFile(`${name}_plan.json`, 'application/json', JSON.stringify(data, null, 2));
 });
 
-if (loadBtn && loadInput) {
-  loadBtn.addEventListener('click', () => loadInput.click());
-  loadInput.addEventListener('change', async (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    try {
-      const plan = JSON.parse(await file.text());
-      restorePlanFromJSON(plan);
-    } catch (err) {
-      console.error(err);
-      alert("Could not parse the plan JSON.");
-    } finally {
-      loadInput.value = "";
+// KML (Google Earth): <LineString> and <gx:Track> placemarks become
+// segments, <Point> placemarks become roadbooks.
+registerRouteFormat({
+  id: "kml", label: "KML", extensions: ["kml"],
+  detect: text => /<kml[\s>]/.test(text.slice(0, 2000)),
+  parseSegments(text) {
+    const xml = parseXml(text);
+    if (!xml) return [];
+    const segments = [];
+    for (const ls of xmlAll(xml, "LineString")) {
+      const pts = xmlText(ls, "coordinates").split(/\s+/).filter(Boolean).map(tuple => {
+        const [lon, lat, ele] = tuple.split(",").map(numOrNull);
+        return { lat, lon, ele: ele ?? null };
+      }).filter(validPoint);
+      if (pts.length >= 2) segments.push(pts);
     }
-  });
-}
+    for (const trk of xmlAll(xml, "Track")) {
+      const pts = xmlAll(trk, "coord").map(c => {
+        const [lon, lat, ele] = c.textContent.trim().split(/\s+/).map(numOrNull);
+        return { lat, lon, ele: ele ?? null };
+      }).filter(validPoint);
+      if (pts.length >= 2) segments.push(pts);
+    }
+    return segments;
+  },
+  parseWaypoints(text) {
+    const xml = parseXml(text);
+    if (!xml) return [];
+    const out = [];
+    for (const pm of xmlAll(xml, "Placemark")) {
+      const pt = xmlAll(pm, "Point")[0];
+      if (!pt) continue;
+      const [lon, lat] = xmlText(pt, "coordinates").split(",").map(numOrNull);
+      const wp = { lat, lon, name: xmlText(pm, "name") };
+      if (validPoint(wp)) out.push(wp);
+    }
+    return out;
+  }
+});
 
-if (exportCsv) exportCsv.addEventListener('click', () => {
-  const table = roadbooksEl.querySelector('table');
-  if (!table) { alert('No table to export.'); return; }
+// GeoJSON: LineString / MultiLineString geometries become segments,
+// Point features become roadbooks (name from properties.name/title).
+// No DOMParser needed, so it is parsed in the processing worker.
+registerRouteFormat({
+  id: "geojson", label: "GeoJSON", extensions: ["geojson", "json"], workerParse: true,
+  detect(text) {
+    const head = text.trimStart().slice(0, 2000);
+    return head.startsWith("{") && /"type"\s*:\s*"(FeatureCollection|Feature|LineString|MultiLineString|GeometryCollection)"/.test(head);
+  },
+  parseSegments: text => geojsonSegments(geojsonGeometries(text)),
+  parseWaypoints: text => geojsonWaypoints(geojsonGeometries(text))
+});
 
-  const rows = [];
-  // header rows as-is
-  table.querySelectorAll('thead tr').forEach(tr =>
-    rows.push([...tr.children].map(th => th.textContent.trim()))
-  );
+// -> { segments, waypoints }, parsing the text once
+function parseGeoJSONRoute(text) {
+  const geometries = geojsonGeometries(text);
+  return { segments: geojsonSegments(geometries), waypoints: geojsonWaypoints(geometries) };
+}
 
-  // body rows: use selected option text for selects
-  table.querySelectorAll('tbody tr').forEach(tr => {
-    const cells = [...tr.children].map(td => {
-      const sel = td.querySelector('select');
-      if (sel) {
-        const opt = sel.options[sel.selectedIndex];
-        return (opt ? opt.text : sel.value || '');
-      }
-      // for editable spans, use their text
-      const span = td.querySelector('span');
-      if (span) return span.textContent.trim();
-      return td.textContent.replace(/\s+/g,' ').trim();
-    });
-    rows.push(cells);
+function geojsonSegments(geometries) {
+  const segments = [];
+  const toPts = coords => (coords || []).map(([lon, lat, ele]) => ({ lat: numOrNull(lat), lon: numOrNull(lon), ele: numOrNull(ele) })).filter(validPoint);
+  geometries.forEach(({ geometry }) => {
+    if (geometry.type === "LineString") segments.push(toPts(geometry.coordinates));
+    else if (geometry.type === "MultiLineString") geometry.coordinates.forEach(c => segments.push(toPts(c)));
   });
+  return segments.filter(arr => arr.length >= 2);
+}
 
-  const csv = rows
-    .map(r => r.map(v => /[",\n]/.test(v) ? `"${v.replace(/"/g,'""')}"` : v).join(','))
-    .join('\n');
-  downloadFile('roadbooks_table.csv', 'text/csv;charset=utf-8', csv);
-});
+function geojsonWaypoints(geometries) {
+  return geometries
+    .filter(({ geometry }) => geometry.type === "Point")
+    .map(({ geometry, properties }) => ({
+      lat: numOrNull(geometry.coordinates?.[1]),
+      lon: numOrNull(geometry.coordinates?.[0]),
+      name: String(properties?.name ?? properties?.title ?? "").trim()
+    }))
+    .filter(validPoint);
+}
+
+// Flattens any GeoJSON object into [{ geometry, properties }]
+function geojsonGeometries(text) {
+  let root;
+  try { root = JSON.parse(text); } catch { return []; }
+  const out = [];
+  const walk = (obj, props) => {
+    if (!obj || typeof obj !== "object") return;
+    if (obj.type === "FeatureCollection") (obj.features || []).forEach(f => walk(f, null));
+    else if (obj.type === "Feature") walk(obj.geometry, obj.properties || {});
+    else if (obj.type === "GeometryCollection") (obj.geometries || []).forEach(g => walk(g, props));
+    else if (obj.type) out.push({ geometry: obj, properties: props || {} });
+  };
+  walk(root, null);
+  return out;
+}
 
 
 // ---------- GPX parsing ----------
+function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(reader.error);
+    reader.onload = () => resolve(reader.result);
+    reader.readAsArrayBuffer(file);
+  });
+}
+
 function readFileAsText(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -758,7 +4162,9 @@ function parseGPXToSegments(gpxText) {
         const lon = parseFloat(pt.getAttribute("lon"));
         const eleNode = pt.getElementsByTagName("ele")[0];
         const ele = eleNode ? parseFloat(eleNode.textContent) : null;
-        return { lat, lon, ele: Number.isFinite(ele) ? ele : null };
+        const timeNode = pt.getElementsByTagName("time")[0];
+        const time = timeNode ? Date.parse(timeNode.textContent.trim()) : NaN;
+        return { lat, lon, ele: Number.isFinite(ele) ? ele : null, time: Number.isFinite(time) ? time : null };
       }).filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
       return pts;
     }).filter(arr => arr.length >= 2);
@@ -821,7 +4227,320 @@ function parseGPXRoadbooks(gpxText) {
   return out;
 }
 
+// ---------- DEM elevation (offline tiles) ----------
+// Tiles are regular lat/lon grids: { name, lon0, lat0, dLon, dLat, width,
+// height, data, noData } where (lon0, lat0) is the centre of the top-left
+// sample and rows run south. SRTM .hgt (big-endian int16, 1201² or 3601²,
+// named after the south-west corner) and GeoTIFF in EPSG:4326 (uncompressed,
+// LZW or Deflate; strips or tiles; predictors 2 and 3) are read.
+const HGT_VOID = -32768;
+
+const demFilesInput = document.getElementById("demFiles");
+const demStatusEl = document.getElementById("demStatus");
+const demClearBtn = document.getElementById("demClearBtn");
+const eleSourceSel = document.getElementById("eleSource");
+let demTiles = [];
+let demInfo = null; // DEM stats of the processed track (Summary card), or null
+
+function readDemSettings() {
+  return {
+    eleSource: ["dem", "blend"].includes(eleSourceSel?.value) ? eleSourceSel.value : "gps",
+    demBlendPct: clamp(toNonNegNum(document.getElementById("demBlendPct")?.value, 50), 0, 100)
+  };
+}
+
+function showDemFields() {
+  const mode = eleSourceSel?.value || "gps";
+  document.querySelectorAll("#controls [data-dem]").forEach(el => {
+    const want = el.dataset.dem;
+    el.classList.toggle("is-hidden", mode === "gps" || (want && want !== mode));
+  });
+}
+showDemFields();
+eleSourceSel?.addEventListener("change", showDemFields);
+
+demFilesInput?.addEventListener("change", async () => {
+  const files = [...(demFilesInput.files || [])];
+  for (const file of files) {
+    try {
+      const buf = await readFileAsArrayBuffer(file);
+      const tile = /\.hgt$/i.test(file.name) ? parseHgt(buf, file.name) : await parseGeoTiff(buf, file.name);
+      demTiles = demTiles.filter(t => t.name !== tile.name).concat(tile);
+    } catch (e) {
+      alert(`Could not read DEM tile "${file.name}": ${e.message}`);
+    }
+  }
+  demFilesInput.value = "";
+  updateDemStatus();
+});
+
+demClearBtn?.addEventListener("click", () => {
+  demTiles = [];
+  updateDemStatus();
+});
+
+function updateDemStatus() {
+  if (demClearBtn) demClearBtn.disabled = !demTiles.length;
+  if (!demStatusEl) return;
+  demStatusEl.textContent = demTiles.length
+    ? `${demTiles.length} tile${demTiles.length === 1 ? "" : "s"}: ${demTiles.map(t => t.name).join(", ")}. Process the route to apply.`
+    : "No tiles loaded.";
+}
+
+function parseHgt(buf, name) {
+  const m = /([NS])(\d{2})([EW])(\d{3})/i.exec(name);
+  if (!m) throw new Error("the file name must hold the tile corner, e.g. N46E007.hgt");
+  const size = Math.round(Math.sqrt(buf.byteLength / 2));
+  if (size * size * 2 !== buf.byteLength || size < 2) throw new Error("unexpected size (not a square int16 grid)");
+  const lat = (m[1].toUpperCase() === "N" ? 1 : -1) * Number(m[2]);
+  const lon = (m[3].toUpperCase() === "E" ? 1 : -1) * Number(m[4]);
+  const view = new DataView(buf);
+  const data = new Int16Array(size * size);
+  for (let i = 0; i < data.length; i++) data[i] = view.getInt16(i * 2, false);
+  const step = 1 / (size - 1);
+  return { name, lon0: lon, lat0: lat + 1, dLon: step, dLat: step, width: size, height: size, data, noData: HGT_VOID };
+}
+
+async function parseGeoTiff(buf, name) {
+  const view = new DataView(buf);
+  const le = view.getUint16(0) === 0x4949;
+  if (!le && view.getUint16(0) !== 0x4d4d) throw new Error("not a TIFF file");
+  if (view.getUint16(2, le) !== 42) throw new Error("BigTIFF is not supported");
+
+  // First IFD only: tag -> array of values
+  const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 11: 4, 12: 8, 16: 8 };
+  const ifd = view.getUint32(4, le);
+  const tags = {};
+  for (let k = 0, n = view.getUint16(ifd, le); k < n; k++) {
+    const at = ifd + 2 + k * 12;
+    const tag = view.getUint16(at, le), type = view.getUint16(at + 2, le), count = view.getUint32(at + 4, le);
+    const size = TYPE_SIZE[type];
+    if (!size) continue;
+    const off = size * count <= 4 ? at + 8 : view.getUint32(at + 8, le);
+    const read = i => type === 3 ? view.getUint16(off + i * 2, le) : type === 4 ? view.getUint32(off + i * 4, le)
+      : type === 11 ? view.getFloat32(off + i * 4, le) : type === 12 ? view.getFloat64(off + i * 8, le) : view.getUint8(off + i);
+    tags[tag] = type === 2
+      ? new TextDecoder().decode(new Uint8Array(buf, off, count)).replace(/\0+$/, "")
+      : Array.from({ length: count }, (_, i) => read(i));
+  }
+
+  const width = tags[256]?.[0], height = tags[257]?.[0];
+  const bits = tags[258]?.[0] ?? 1, format = tags[339]?.[0] ?? 1;
+  const compression = tags[259]?.[0] ?? 1, predictor = tags[317]?.[0] ?? 1;
+  if (!width || !height) throw new Error("missing image size");
+  if ((tags[277]?.[0] ?? 1) !== 1) throw new Error("only single-band elevation rasters are supported");
+  if (![1, 5, 8, 32946].includes(compression)) throw new Error(`unsupported compression (${compression})`);
+  const scale = tags[33550], tie = tags[33922];
+  if (!scale || !tie) throw new Error("no georeferencing (ModelPixelScale/ModelTiepoint)");
+  const geoKeys = geoKeyMap(tags[34735]);
+  if (geoKeys.get(3072) || (geoKeys.get(1024) ?? 2) !== 2) throw new Error("only lat/lon GeoTIFFs (EPSG:4326) are supported");
+
+  const bytes = bits / 8;
+  const sample = format === 3 ? (bits === 64 ? "Float64" : "Float32")
+    : `${format === 2 ? "Int" : "Uint"}${bits}`;
+  if (!DataView.prototype[`get${sample}`]) throw new Error(`unsupported sample type (${bits}-bit, format ${format})`);
+
+  // Strips are tiles of full width
+  const tiled = !!tags[322];
+  const tw = tiled ? tags[322][0] : width, th = tiled ? tags[323][0] : (tags[278]?.[0] ?? height);
+  const offsets = tiled ? tags[324] : tags[273], counts = tiled ? tags[325] : tags[279];
+  const across = Math.ceil(width / tw);
+  const data = new Float32Array(width * height);
+
+  for (let k = 0; k < offsets.length; k++) {
+    let block = new Uint8Array(buf, offsets[k], counts[k]);
+    if (compression === 5) block = lzwDecode(block);
+    else if (compression !== 1) block = await inflateBytes(block);
+    const rows = Math.min(th, tiled ? th : height - k * th);
+    undoTiffPredictor(block, predictor, tw, rows, bytes, le);
+
+    const bv = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    const get = bv[`get${sample}`].bind(bv);
+    const x0 = tiled ? (k % across) * tw : 0, y0 = tiled ? Math.floor(k / across) * th : k * th;
+    const bigEndianFloats = predictor === 3; // the float predictor reassembles bytes MSB first
+    for (let r = 0; r < rows && y0 + r < height; r++) {
+      for (let c = 0; c < tw && x0 + c < width; c++) {
+        const at = (r * tw + c) * bytes;
+        if (at + bytes > block.length) break;
+        data[(y0 + r) * width + x0 + c] = get(at, bigEndianFloats ? false : le);
+      }
+    }
+  }
+
+  // Tiepoint maps raster (i, j) to (lon, lat); PixelIsArea grids sample at pixel centres
+  const pixelIsPoint = geoKeys.get(1025) === 2;
+  const half = pixelIsPoint ? 0 : 0.5;
+  const nd = parseFloat(tags[42113]);
+  return {
+    name, width, height, data,
+    dLon: scale[0], dLat: scale[1],
+    lon0: tie[3] + (half - tie[0]) * scale[0],
+    lat0: tie[4] - (half - tie[1]) * scale[1],
+    noData: Number.isFinite(nd) ? nd : null
+  };
+}
+
+// GeoKeyDirectory: [version, rev, minor, count, then (key, location, count, value) × count]
+function geoKeyMap(dir) {
+  const m = new Map();
+  if (!dir) return m;
+  for (let k = 0; k < dir[3]; k++) {
+    const [key, loc, , value] = dir.slice(4 + k * 4, 8 + k * 4);
+    if (loc === 0) m.set(key, value);
+  }
+  return m;
+}
+
+// TIFF LZW (MSB-first codes, "early change" code widths). The dictionary is
+// kept as prefix/suffix chains so large rasters decode without per-code arrays.
+function lzwDecode(input) {
+  const prefix = new Int32Array(4096), suffix = new Uint8Array(4096), length = new Int32Array(4096);
+  for (let i = 0; i < 256; i++) { prefix[i] = -1; suffix[i] = i; length[i] = 1; }
+  let out = new Uint8Array(Math.max(1024, input.length * 4)), n = 0;
+  let next = 258, width = 9, bitPos = 0, prev = -1;
+  const totalBits = input.length * 8;
+  const read = () => {
+    if (bitPos + width > totalBits) return 257;
+    let code = 0;
+    for (let i = 0; i < width; i++, bitPos++) code = (code << 1) | ((input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+    return code;
+  };
+
+  for (let code = read(); code !== 257; code = read()) {
+    if (code === 256) { next = 258; width = 9; prev = -1; continue; }
+    const known = code < next;
+    if (!known && (prev < 0 || code !== next)) throw new Error("corrupt LZW data");
+    const entry = known ? code : prev;
+    const len = length[entry] + (known ? 0 : 1);
+    if (n + len > out.length) { const grown = new Uint8Array(Math.max(out.length * 2, n + len)); grown.set(out); out = grown; }
+    for (let c = entry, pos = n + length[entry] - 1; c >= 0; c = prefix[c]) out[pos--] = suffix[c];
+    if (!known) out[n + len - 1] = out[n];
+    if (prev >= 0 && next < 4096) {
+      prefix[next] = prev; suffix[next] = out[n]; length[next] = length[prev] + 1; next++;
+    }
+    n += len;
+    prev = code;
+    if (next + 1 >= (1 << width) && width < 12) width++;
+  }
+  return out.subarray(0, n);
+}
+
+// zlib-wrapped Deflate, via the browser's DecompressionStream
+async function inflateBytes(bytes) {
+  if (typeof DecompressionStream === "undefined") throw new Error("this browser cannot decompress Deflate GeoTIFFs");
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// In place. 2 = horizontal differencing per sample, 3 = floating point
+// (byte planes, differenced, most significant plane first).
+function undoTiffPredictor(block, predictor, width, rows, bytes, le) {
+  if (predictor === 2) {
+    const v = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    const get = bytes === 1 ? (i => v.getUint8(i)) : bytes === 2 ? (i => v.getUint16(i, le)) : (i => v.getUint32(i, le));
+    const set = bytes === 1 ? ((i, x) => v.setUint8(i, x)) : bytes === 2 ? ((i, x) => v.setUint16(i, x, le)) : ((i, x) => v.setUint32(i, x, le));
+    for (let r = 0; r < rows; r++) {
+      for (let c = 1; c < width; c++) {
+        const at = (r * width + c) * bytes;
+        if (at + bytes > block.length) return;
+        set(at, get(at) + get(at - bytes));
+      }
+    }
+  } else if (predictor === 3) {
+    const rowLen = width * bytes;
+    for (let r = 0; r < rows; r++) {
+      const row = block.subarray(r * rowLen, (r + 1) * rowLen);
+      for (let i = 1; i < row.length; i++) row[i] = (row[i] + row[i - 1]) & 0xff;
+      const planes = row.slice();
+      for (let c = 0; c < width; c++) {
+        for (let b = 0; b < bytes; b++) row[c * bytes + b] = planes[b * width + c];
+      }
+    }
+  }
+}
+
+// Bilinear elevation at a point, or null outside every tile / over voids
+function demElevationAt(lat, lon) {
+  for (const t of demTiles) {
+    const fx = (lon - t.lon0) / t.dLon, fy = (t.lat0 - lat) / t.dLat;
+    if (fx < 0 || fy < 0 || fx > t.width - 1 || fy > t.height - 1) continue;
+    const x = Math.min(Math.floor(fx), t.width - 2), y = Math.min(Math.floor(fy), t.height - 2);
+    const u = fx - x, v = fy - y;
+    let sum = 0, wsum = 0;
+    for (const [dx, dy, w] of [[0, 0, (1 - u) * (1 - v)], [1, 0, u * (1 - v)], [0, 1, (1 - u) * v], [1, 1, u * v]]) {
+      const e = t.data[(y + dy) * t.width + x + dx];
+      if (e === t.noData || !Number.isFinite(e)) continue;
+      sum += e * w; wsum += w;
+    }
+    if (wsum > 0.25) return sum / wsum;
+  }
+  return null;
+}
+
+// DEM (or blended) elevations for resampled points; the file's value where the DEM has none.
+// -> { ele, covered } (covered = points with a DEM value)
+function demElevations(points, fileEle, { eleSource, demBlendPct }) {
+  const w = eleSource === "blend" ? demBlendPct / 100 : 1;
+  let covered = 0;
+  const ele = points.map((p, i) => {
+    const d = demElevationAt(p.lat, p.lon);
+    if (d == null) return fileEle[i];
+    covered++;
+    return fileEle[i] == null ? d : w * d + (1 - w) * fileEle[i];
+  });
+  return { ele, covered };
+}
+
+function ascentDescentM(ele) {
+  let ascentM = 0, descentM = 0;
+  for (let i = 1; i < ele.length; i++) {
+    if (ele[i] == null || ele[i - 1] == null) continue;
+    const d = ele[i] - ele[i - 1];
+    if (d > 0) ascentM += d; else descentM -= d;
+  }
+  return { ascentM, descentM };
+}
+
+function demSummaryHtml() {
+  if (!demInfo) return "";
+  const ascentM = cumAscentM[cumAscentM.length - 1] || 0;
+  const coverage = demInfo.points ? Math.round(100 * demInfo.covered / demInfo.points) : 0;
+  const source = demInfo.mode === "blend" ? `file + DEM blend (${readDemSettings().demBlendPct} % DEM)` : "DEM";
+  const diff = ascentM - demInfo.fileAscentM;
+  const compare = demInfo.fileHasEle
+    ? `${Math.round(demInfo.fileAscentM)} m from the file's elevations (${diff >= 0 ? "+" : "−"}${Math.abs(Math.round(diff))} m${demInfo.fileAscentM > 0 ? `, ${diff >= 0 ? "+" : "−"}${Math.abs(Math.round(100 * diff / demInfo.fileAscentM))} %` : ""})`
+    : "the file has no elevations";
+  return `<li><strong>Elevation:</strong> ${source}, ${demInfo.tiles} tile${demInfo.tiles === 1 ? "" : "s"}, ${coverage} % of points covered.
+    Ascent ${Math.round(ascentM)} m vs ${compare}</li>`;
+}
+
 // ---------- Geometry & filters ----------
+// One route segment through the elevation pipeline: resample → median → deadband.
+// -> { points (resampled, with lat/lon/ele and interpolated `time`), ele } or null
+// `dem` (readDemSettings(), optional) swaps in DEM elevations before the
+// filters; the result then also has dem: { covered, fileEle } where fileEle is
+// the file's elevations through the same filters (null when it had none).
+// `progress(fraction)`, if given, is called from within the resample and
+// median loops, each mapped onto its share of the segment.
+function filterSegment(pts, { spacingM, smoothWinM, elevDeadbandM }, dem = null, progress = null) {
+  if (pts.length < 2) return null;
+  const stage = (from, to) => progress && (f => progress(from + f * (to - from)));
+
+  const filled = fillElevationOnPoints(pts);
+  const resampled = resampleByDistance(filled, spacingM, stage(0, 0.3));
+  if (resampled.length < 2) return null;
+
+  const winSamples = clampToOdd(Math.max(3, Math.round(smoothWinM / spacingM)), 3, 999);
+  const filter = (elev, onProgress) => cumulativeDeadbandFilter(medianFilter(elev, winSamples, onProgress), elevDeadbandM);
+  const elev = resampled.map(p => p.ele);
+  if (!dem) return { points: resampled, ele: filter(elev, stage(0.3, 1)) };
+
+  const demEle = demElevations(resampled, elev, dem);
+  progress?.(0.45);
+  const fileEle = elev.some(e => e != null) ? filter(elev, stage(0.45, 0.7)) : null;
+  return { points: resampled, ele: filter(demEle.ele, stage(0.7, 1)), dem: { covered: demEle.covered, fileEle } };
+}
+
 function fillElevationOnPoints(points) {
   const out = points.map(p => ({ ...p }));
   let last = null;
@@ -837,7 +4556,9 @@ function fillElevationOnPoints(points) {
   return out;
 }
 
-function resampleByDistance(points, spacingM) {
+// Points every spacingM along the track; `progress(fraction)` is called every
+// 10000 output points
+function resampleByDistance(points, spacingM, progress = null) {
   const cum = [0];
   for (let i = 1; i < points.length; i++) {
     const d = haversineKm(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon) * 1000;
@@ -853,6 +4574,7 @@ function resampleByDistance(points, spacingM) {
   const out = [];
   let j = 1;
   for (const t of targets) {
+    if (progress && out.length % 10000 === 0) progress(out.length / targets.length);
     while (j < cum.length && cum[j] < t) j++;
     if (j >= cum.length) { out.push({ ...points[points.length - 1] }); continue; }
     const t0 = cum[j - 1], t1 = cum[j];
@@ -863,28 +4585,51 @@ function resampleByDistance(points, spacingM) {
     const lat = p0.lat + a * (p1.lat - p0.lat);
     const lon = p0.lon + a * (p1.lon - p0.lon);
     const ele = (p0.ele != null && p1.ele != null) ? (p0.ele + a * (p1.ele - p0.ele)) : (p0.ele != null ? p0.ele : p1.ele);
+    const time = (p0.time != null && p1.time != null) ? (p0.time + a * (p1.time - p0.time)) : null;
 
-    out.push({ lat, lon, ele });
+    out.push({ lat, lon, ele, time });
   }
   return out;
 }
 
-function medianFilter(arr, win) {
+// Median of the `win` samples centred on each point (fewer at the ends; gaps
+// skipped). The window is kept sorted as it slides: one binary-search insert
+// and one removal per sample instead of a fresh sort. `progress(fraction)`, if
+// given, is called every 10000 samples.
+function medianFilter(arr, win, progress = null) {
   if (!Array.isArray(arr) || arr.length === 0) return arr.slice();
   const n = arr.length, half = Math.floor(win / 2), out = new Array(n);
+  const vals = [];
+  let lo = 0, hi = -1; // window currently in `vals`
   for (let i = 0; i < n; i++) {
+    if (progress && i % 10000 === 0) progress(i / n);
     const start = Math.max(0, i - half);
     const end   = Math.min(n - 1, i + half);
-    const vals = [];
-    for (let k = start; k <= end; k++) if (arr[k] != null) vals.push(arr[k]);
+    while (hi < end) {
+      const v = arr[++hi];
+      if (Number.isFinite(v)) vals.splice(sortedIndex(vals, v), 0, v);
+    }
+    while (lo < start) {
+      const v = arr[lo++];
+      if (Number.isFinite(v)) vals.splice(sortedIndex(vals, v), 1);
+    }
     if (!vals.length) { out[i] = null; continue; }
-    vals.sort((a,b)=>a-b);
     const mid = Math.floor(vals.length / 2);
     out[i] = vals.length % 2 ? vals[mid] : (vals[mid - 1] + vals[mid]) / 2;
   }
   return out;
 }
 
+// First position in ascending `sorted` whose value is >= v
+function sortedIndex(sorted, v) {
+  let a = 0, b = sorted.length;
+  while (a < b) {
+    const m = (a + b) >> 1;
+    if (sorted[m] < v) a = m + 1; else b = m;
+  }
+  return a;
+}
+
 function cumulativeDeadbandFilter(elev, deadband) {
   const n = elev.length;
   if (n === 0) return [];
@@ -958,9 +4703,24 @@ function fmtHrs(hours) {
   return `${h}:${String(m).padStart(2, "0")} h`;
 }
 
+// "HH:MM", plus "+Nd" for days past `start` (default: the plan's start)
+function fmtClock(date, start = getPlanStart()) {
+  if (!date) return "";
+  const hh = String(date.getHours()).padStart(2, "0");
+  const mm = String(date.getMinutes()).padStart(2, "0");
+  if (!start) return `${hh}:${mm}`;
+  const day0 = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+  const dayN = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const plusDays = Math.round((dayN - day0) / 86400000);
+  return plusDays > 0 ? `${hh}:${mm} +${plusDays}d` : `${hh}:${mm}`;
+}
+
 function escapeHtml(s) {
   return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
 }
+function escapeXml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&apos;'}[c]));
+}
 
 function updateSummaryCard() {
   if (!trackLatLngs.length || cumDistKm.length === 0) {
@@ -974,6 +4734,8 @@ function updateSummaryCard() {
   const totalDescentM  = cumDescentM[cumDescentM.length - 1]?? 0;
   const activityTimeH  = cumTimeH[cumTimeH.length - 1]      ?? 0; // base time from the model
   const totalTimeH     = lastTotalAdjustedH || activityTimeH;     // base + Stops/Cond
+  const start          = getPlanStart();
+  const finish         = lastEtaByIdx.get(roadbookIdx[roadbookIdx.length - 1]);
 
   // For the little config line
   const spacingM      = parseFloat(document.getElementById("spacingM")?.value)      || 5;
@@ -987,19 +4749,364 @@ function updateSummaryCard() {
       <li><strong>Descent:</strong> ${Math.round(totalDescentM)} m</li>
       <li><strong>Estimated Activity Time:</strong> ${fmtHrs(activityTimeH)}</li>
       <li><strong>Estimated Total Time:</strong> ${fmtHrs(totalTimeH)}</li>
+      ${fatigueChk?.checked ? fatigueSummaryHtml() : ""}
+      ${restChk?.checked ? restSummaryHtml() : ""}
+      ${demSummaryHtml()}
+      ${start ? `<li><strong>Start → Finish:</strong> ${fmtClock(start)} → ${fmtClock(finish?.arrive)}</li>` : ""}
     </ul>
+    ${daysSummaryHtml()}
+    ${gapsSummaryHtml()}
+    ${supplyChk?.checked ? supplySummaryHtml() : ""}
+    ${start ? daylightSummaryHtml(start) : ""}
+    ${actualSummaryHtml()}
     <p class="subtle">Resample: ${spacingM} m • Smooth window: ${smoothWinM} m • Deadband: ${elevDeadbandM} m</p>
   `;
+  bindActualSummary();
+  bindRestSummary();
+  bindGapSummary();
+}
+
+
+// ---------- Daylight (offline solar position) ----------
+// Sunrise/sunset and civil twilight from the standard low-precision solar
+// position formulas (NOAA / Meeus), good to about a minute. No network needed.
+const SUN_RAD = Math.PI / 180;
+const SUN_DAY_MS = 86400000, SUN_J1970 = 2440588, SUN_J2000 = 2451545, SUN_J0 = 0.0009;
+const SUN_OBLIQUITY = SUN_RAD * 23.4397;
+
+function toJulian(ms) { return ms / SUN_DAY_MS - 0.5 + SUN_J1970; }
+function fromJulian(j) { return new Date((j + 0.5 - SUN_J1970) * SUN_DAY_MS); }
+
+// Solar events for the local solar day containing `date` at lat/lon.
+// Each field is a Date, or null in polar day/night (see `polar`).
+function sunTimes(date, lat, lon) {
+  // Anchor on local solar noon of the same calendar day at this longitude
+  const shifted = new Date(date.getTime() + (lon / 15) * 3600000);
+  const noonMs = Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate(), 12) - (lon / 15) * 3600000;
+
+  const lw = SUN_RAD * -lon, phi = SUN_RAD * lat;
+  const d = toJulian(noonMs) - SUN_J2000;
+  const n = Math.round(d - SUN_J0 - lw / (2 * Math.PI));
+  const ds = SUN_J0 + lw / (2 * Math.PI) + n;
+  const M = SUN_RAD * (357.5291 + 0.98560028 * ds);
+  const C = SUN_RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const L = M + C + SUN_RAD * 102.9372 + Math.PI;
+  const dec = Math.asin(Math.sin(SUN_OBLIQUITY) * Math.sin(L));
+  const jNoon = SUN_J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+  // Returns [rise, set] for a solar altitude (deg), or a polar marker
+  const riseSet = (altDeg) => {
+    const cosW = (Math.sin(SUN_RAD * altDeg) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+    if (cosW < -1) return 'above';  // never goes below this altitude
+    if (cosW > 1)  return 'below';  // never rises above it
+    const w = Math.acos(cosW);
+    const jSet = SUN_J2000 + (SUN_J0 + (w + lw) / (2 * Math.PI) + n) + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+    return [fromJulian(jNoon - (jSet - jNoon)), fromJulian(jSet)];
+  };
+
+  const sun = riseSet(-0.833);   // upper limb + refraction
+  const civil = riseSet(-6);
+  return {
+    solarNoon: fromJulian(jNoon),
+    sunrise: Array.isArray(sun) ? sun[0] : null,
+    sunset:  Array.isArray(sun) ? sun[1] : null,
+    dawn:    Array.isArray(civil) ? civil[0] : null,
+    dusk:    Array.isArray(civil) ? civil[1] : null,
+    polar:   Array.isArray(sun) ? null : (sun === 'above' ? 'day' : (civil === 'below' ? 'night' : 'twilight'))
+  };
+}
+
+// Classify an instant as 'day' | 'twilight' | 'dark' at lat/lon
+function daylightAt(date, lat, lon) {
+  const t = sunTimes(date, lat, lon);
+  let status;
+  if (t.polar === 'day') status = 'day';
+  else if (t.polar === 'night') status = 'dark';
+  else if (t.polar === 'twilight') status = 'twilight';
+  else if (date >= t.sunrise && date <= t.sunset) status = 'day';
+  else if (t.dawn && t.dusk && date >= t.dawn && date <= t.dusk) status = 'twilight';
+  else status = t.dawn ? 'dark' : 'twilight'; // no civil events: twilight all night
+  return { status, ...t };
+}
+
+function daylightLabel(light, critical) {
+  if (!light) return "";
+  if (light.status === 'day') return `<span class="light-day">Day</span>`;
+  const txt = light.status === 'dark' ? 'Dark' : 'Twilight';
+  return `<span class="light-${light.status}">${critical ? '⚠ ' : ''}${txt}</span>`;
+}
+
+function daylightTitle(light) {
+  if (!light) return "";
+  if (light.polar) return `Polar ${light.polar}`;
+  return `Dawn ${fmtClock(light.dawn)} • Sunrise ${fmtClock(light.sunrise)} • Sunset ${fmtClock(light.sunset)} • Dusk ${fmtClock(light.dusk)}`;
+}
+
+// Latest start that still lands every leg in daylight: Critical legs must
+// finish before sunset, the rest before the end of civil twilight. An arrival
+// before that day's dawn is measured against the previous evening, unless its
+// day also began after that evening: then the leg is too early, not too late
+// (`beforeDawn`, with the `earliest` start that reaches it at dawn).
+// Returns { latest, slackMin, earliest, beforeDawn } or null when no limit applies.
+function latestSafeStart(start, legs) {
+  let minSlackMs = Infinity, maxEarlyMs = -Infinity;
+  const beforeDawn = [];
+  for (const D of groupLegsByDay(legs)) {
+    const dayStart = D.depart || start;
+    for (const L of D.legs) {
+      if (!L.light || !L.arrive || L.light.polar === 'day') continue;
+      const critical = legCritical.get(L.key);
+      const limits = t => critical ? [t.sunrise, t.sunset] : [t.dawn || t.sunrise, t.dusk || t.sunset];
+      const [light, night] = limits(L.light);
+      if (light && L.arrive < light) {
+        const [lat, lon] = trackLatLngs[L.b];
+        const evening = limits(sunTimes(new Date(L.arrive.getTime() - 86400000), lat, lon))[1];
+        if (evening && dayStart > evening) {
+          beforeDawn.push({ leg: L, light });
+          maxEarlyMs = Math.max(maxEarlyMs, light - L.arrive);
+        } else if (evening) {
+          minSlackMs = Math.min(minSlackMs, evening - L.arrive);
+        }
+        continue;
+      }
+      if (night) minSlackMs = Math.min(minSlackMs, night - L.arrive);
+    }
+  }
+  if (!Number.isFinite(minSlackMs) && !beforeDawn.length) return null;
+  return {
+    latest: Number.isFinite(minSlackMs) ? new Date(start.getTime() + minSlackMs) : null,
+    slackMin: Number.isFinite(minSlackMs) ? Math.round(minSlackMs / 60000) : null,
+    earliest: beforeDawn.length ? new Date(start.getTime() + maxEarlyMs) : null,
+    beforeDawn
+  };
+}
+
+function fatigueSummaryHtml() {
+  const extraH = lastLegEntries.reduce((s, L) => s + L.fatigueH, 0);
+  const movingH = lastLegEntries.reduce((s, L) => s + L.movingH, 0);
+  const pct = movingH > extraH ? Math.round(100 * extraH / (movingH - extraH)) : 0;
+  return `<li><strong>Fatigue adds:</strong> ${fmtHrs(extraH)} (${pct} % on the fresh moving time)</li>`;
+}
+
+function restSummaryHtml() {
+  const legs = lastLegEntries.filter(L => L.suggested);
+  if (!legs.length) return `<li><strong>Suggested stops:</strong> none pending</li>`;
+  const min = legs.reduce((s, L) => s + L.suggested.min, 0);
+  return `<li><strong>Suggested stops:</strong> ${minutesToText(min)} on ${legs.length} leg${legs.length === 1 ? "" : "s"}
+    <button type="button" id="acceptRestBtn">Accept all</button> <button type="button" id="dismissRestBtn">Dismiss all</button></li>`;
+}
+
+function bindRestSummary() {
+  const settle = (accept) => {
+    withHistory(() => {
+      for (const L of lastLegEntries) {
+        if (L.suggested) legStopsMin.set(L.key, accept ? L.suggested.min : 0);
+      }
+    });
+    renderRoadbooksTable();
+  };
+  document.getElementById("acceptRestBtn")?.addEventListener("click", () => settle(true));
+  document.getElementById("dismissRestBtn")?.addEventListener("click", () => settle(false));
+}
+
+function daysSummaryHtml() {
+  const days = groupLegsByDay(lastLegEntries);
+  if (days.length < 2) return "";
+  const items = days.map(D => {
+    const when = D.depart && D.arrive ? ` (${fmtClock(D.depart)} → ${fmtClock(D.arrive)})` : "";
+    return `<li><strong>Day ${D.day}:</strong> ${escapeHtml(getWaypointLabel(D.fromIdx))} → ${escapeHtml(getWaypointLabel(D.toIdx))}
+      — ${fmtKm(D.distKm)}, ↑ ${Math.round(D.ascM)} m, ↓ ${Math.round(D.desM)} m, ${fmtHrs(D.totalH)}${when}</li>`;
+  }).join("");
+  return `<h3>Days</h3><ul>${items}</ul>`;
+}
+
+function daylightSummaryHtml(start) {
+  const [lat0, lon0] = trackLatLngs[roadbookIdx[0] ?? 0] || trackLatLngs[0];
+  const t0 = sunTimes(start, lat0, lon0);
+  const dark = lastLegEntries.filter(L => L.light && L.light.status !== 'day');
+  const safe = latestSafeStart(start, lastLegEntries);
+
+  const warnings = dark.map(L => {
+    const crit = legCritical.get(L.key);
+    const name = escapeHtml(legLabels.get(L.key) || getDefaultLegLabel(L.a, L.b));
+    return `<li class="${crit ? 'light-critical' : ''}">${crit ? '⚠ <strong>Critical</strong> — ' : ''}Leg ${L.idx} (${name}) ends in ${L.light.status === 'dark' ? 'darkness' : 'twilight'} at ${fmtClock(L.arrive)}${L.light.sunset ? ` (sunset ${fmtClock(L.light.sunset)})` : ""}</li>`;
+  }).join("");
+
+  let safeTxt = "";
+  if (safe?.latest) {
+    const dir = safe.slackMin >= 0 ? `${fmtHrs(safe.slackMin / 60)} of margin` : `start ${fmtHrs(-safe.slackMin / 60)} earlier`;
+    safeTxt = `<li><strong>Latest safe start:</strong> ${fmtClock(safe.latest)} (${dir})</li>`;
+  }
+  if (safe?.earliest) {
+    const legsTxt = safe.beforeDawn.map(({ leg, light }) => `leg ${leg.idx} at ${fmtClock(leg.arrive)}, light from ${fmtClock(light)}`).join("; ");
+    safeTxt += `<li><strong>Earliest safe start:</strong> ${fmtClock(safe.earliest)} (before dawn: ${legsTxt})</li>`;
+  }
+
+  const sunLine = t0.polar
+    ? `Polar ${t0.polar} at start`
+    : `Sunrise ${fmtClock(t0.sunrise)} • Sunset ${fmtClock(t0.sunset)} • Civil dusk ${fmtClock(t0.dusk)}`;
+
+  return `
+    <h3>Daylight</h3>
+    <ul>
+      <li>${sunLine}</li>
+      ${safeTxt}
+      ${warnings || "<li>All legs finish in daylight.</li>"}
+    </ul>
+  `;
+}
+
+
+// ---------- Route-order matching (out-and-back, loops) ----------
+// A spot the route visits twice has two equally near track points far
+// apart along the track. trackPassesNear() returns one candidate per visit.
+const PASS_MERGE_KM = 0.2;       // runs closer than this along the track are one pass
+const WPT_MATCH_MIN_KM = 0.1;    // search radius floor for imported waypoints
+
+// -> [{ idx, dKm, distKm }] in track order: the closest point of every
+// separate pass within `radiusKm` of [lat, lon]
+function trackPassesNear([lat, lon], radiusKm) {
+  const passes = [];
+  let run = null;
+  for (const { i, d } of trackPointsWithin([lat, lon], radiusKm, trackLatLngs)) {
+    const along = cumDistKm[i] ?? 0;
+    if (run && along - run.lastKm <= PASS_MERGE_KM) {
+      run.lastKm = along;
+      if (d < run.dKm) { run.dKm = d; run.idx = i; }
+    } else {
+      run = { idx: i, dKm: d, lastKm: along };
+      passes.push(run);
+    }
+  }
+  return passes.map(p => ({ idx: p.idx, dKm: p.dKm, distKm: cumDistKm[p.idx] ?? 0 }));
 }
 
+// Imported waypoints, in file order: each takes the first pass at or after
+// the previous match, so a return-leg waypoint lands on the return leg.
+// Falls back to the globally nearest point when no pass lies ahead.
+// -> track index per waypoint
+function matchWaypointsInOrder(waypoints, from = 0) {
+  let cursor = from;
+  return waypoints.map(wp => {
+    const nearest = nearestIndexOnTrack([wp.lat, wp.lon], trackLatLngs);
+    const [nLat, nLon] = trackLatLngs[nearest];
+    const radius = Math.max(WPT_MATCH_MIN_KM, 3 * haversineKm(wp.lat, wp.lon, nLat, nLon));
+    const passes = trackPassesNear([wp.lat, wp.lon], radius);
+    const ahead = passes.find(p => p.idx >= cursor);
+    const idx = passes.length > 1 && ahead ? ahead.idx : nearest;
+    cursor = Math.max(cursor, idx);
+    return idx;
+  });
+}
+
+// Map click tolerance: ~14 px at the current zoom, in km
+function clickToleranceKm(containerPoint) {
+  const a = map.containerPointToLatLng(containerPoint);
+  const b = map.containerPointToLatLng(L.point(containerPoint.x + 14, containerPoint.y));
+  const km = map.distance(a, b) / 1000;
+  return Number.isFinite(km) && km > 0 ? km : 0.05;
+}
+
+// "km 4.2 outbound" / "km 17.8 return"; "pass 2 of 3" for 3+ visits
+function passLabel(k, n) {
+  if (n === 2) return k === 0 ? "outbound" : "return";
+  return `pass ${k + 1} of ${n}`;
+}
+
+function showPassPicker(latlng, passes) {
+  const box = document.createElement('div');
+  box.className = 'pass-picker';
+  const title = document.createElement('div');
+  title.textContent = 'The route passes here more than once:';
+  box.appendChild(title);
+
+  const popup = L.popup({ closeButton: true, autoClose: true });
+  passes.forEach((p, k) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = `km ${p.distKm.toFixed(1)} ${passLabel(k, passes.length)}`;
+    btn.disabled = roadbookIdx.includes(p.idx);
+    btn.addEventListener('mouseenter', () => showProfileCursor(p.idx));
+    btn.addEventListener('mouseleave', hideProfileCursor);
+    btn.addEventListener('click', () => {
+      map.closePopup(popup);
+      hideProfileCursor();
+      withHistory(() => addRoadbookIndex(p.idx));
+    });
+    box.appendChild(btn);
+  });
+
+  popup.setLatLng(latlng).setContent(box).openOn(map);
+}
 
 // ---------- Nearest point ----------
-function nearestIndexOnTrack([la, lo], latlngs) {
-  let bestIdx = 0, bestD = Infinity;
-  for (let i = 0; i < latlngs.length; i++) {
-    const [lb, lob] = latlngs[i];
-    const d = haversineKm(la, lo, lb, lob);
-    if (d < bestD) { bestD = d; bestIdx = i; }
+// Points are bucketed into GRID_CELL_KM squares (equirectangular, scaled at
+// the track's highest latitude so grid distances never exceed true ones), so
+// a lookup only scans the cells around the query. Built once per point list.
+const GRID_CELL_KM = 0.25;
+const KM_PER_DEG = 6371 * Math.PI / 180; // same sphere as haversineKm()
+const trackGrids = new WeakMap();        // point list -> grid
+
+function trackGrid(latlngs) {
+  let g = trackGrids.get(latlngs);
+  if (g && g.n === latlngs.length) return g;
+  const maxLat = latlngs.reduce((m, p) => Math.max(m, Math.abs(p[0])), 0);
+  g = { n: latlngs.length, kx: KM_PER_DEG * Math.cos(Math.min(maxLat, 89) * Math.PI / 180) / GRID_CELL_KM,
+        ky: KM_PER_DEG / GRID_CELL_KM, cells: new Map() };
+  latlngs.forEach(([lat, lon], i) => {
+    const key = gridKey(Math.floor(lon * g.kx), Math.floor(lat * g.ky));
+    const cell = g.cells.get(key);
+    if (cell) cell.push(i); else g.cells.set(key, [i]);
+  });
+  trackGrids.set(latlngs, g);
+  return g;
+}
+
+function gridKey(cx, cy) { return `${cx},${cy}`; }
+
+// Calls fn(i) for every point in the grid cells ring `r` around (cx, cy)
+function forGridRing(g, cx, cy, r, fn) {
+  for (let dy = -r; dy <= r; dy++) {
+    const step = dy === -r || dy === r ? 1 : 2 * r; // full rows at the edges, two cells between
+    for (let dx = -r; dx <= r; dx += step) {
+      const cell = g.cells.get(gridKey(cx + dx, cy + dy));
+      if (cell) for (const i of cell) fn(i);
+    }
+  }
+}
+
+// Index of the point nearest [la, lo] among latlngs[from..to]
+function nearestIndexOnTrack([la, lo], latlngs, from = 0, to = latlngs.length - 1) {
+  const g = trackGrid(latlngs);
+  const cx = Math.floor(lo * g.kx), cy = Math.floor(la * g.ky);
+  let bestIdx = from, bestD = Infinity;
+  const visit = i => {
+    if (i < from || i > to) return;
+    const d = haversineKm(la, lo, latlngs[i][0], latlngs[i][1]);
+    if (d < bestD || (d === bestD && i < bestIdx)) { bestD = d; bestIdx = i; }
+  };
+  // Ring r is at least (r - 1) cells away; far from the track a plain scan is cheaper
+  for (let r = 0; (r - 1) * GRID_CELL_KM * 0.99 <= bestD; r++) {
+    if ((2 * r + 1) ** 2 > g.cells.size + 8) {
+      for (let i = from; i <= to; i++) visit(i);
+      break;
+    }
+    forGridRing(g, cx, cy, r, visit);
   }
   return bestIdx;
 }
+
+// -> [{ i, d }] for every point within radiusKm of [la, lo], in track order
+function trackPointsWithin([la, lo], radiusKm, latlngs) {
+  const g = trackGrid(latlngs);
+  const cx = Math.floor(lo * g.kx), cy = Math.floor(la * g.ky);
+  const reach = Math.ceil(radiusKm / (GRID_CELL_KM * 0.99));
+  const found = [];
+  const visit = i => {
+    const d = haversineKm(la, lo, latlngs[i][0], latlngs[i][1]);
+    if (d <= radiusKm) found.push({ i, d });
+  };
+  if ((2 * reach + 1) ** 2 > g.cells.size + 8) latlngs.forEach((_, i) => visit(i));
+  else for (let r = 0; r <= reach; r++) forGridRing(g, cx, cy, r, visit);
+  return found.sort((a, b) => a.i - b.i);
+}